@@ -3,42 +3,105 @@ export default {
   async fetch(request, env, ctx) {
     const url = new URL(request.url);
 
-    // KV 检查
-    if (!env.MY_KV) {
+    // 存储检查：至少绑定 KV 或 D1 之一（本地测试可设置 STORAGE=memory）
+    if (!env.MY_KV && !env.DB && env.STORAGE !== 'memory') {
+      const locale = resolveLocale(request);
       return new Response(renderHTML({
         type: 'error',
-        title: '配置错误',
-        message: '未绑定 KV 数据库，变量名必须为 <b>MY_KV</b>。'
+        locale,
+        title: translate(locale, 'error.noStorage.title'),
+        message: translate(locale, 'error.noStorage.message')
       }), { headers: { 'Content-Type': 'text/html;charset=UTF-8' } });
     }
+    await ensureStorage(env);
 
-    const storedPasswordHash = await env.MY_KV.get("password");
+    // REST API 使用独立的 Bearer Token 鉴权，不读取 Cookie
+    if (url.pathname.startsWith("/api/")) return handleApi(request, env, ctx, url);
+    if (url.pathname === "/metrics") return handleMetrics(request, env, ctx);
 
-    // 初始化流程
-    if (!storedPasswordHash) {
+    // 推送监控的心跳地址，凭 URL 中的 Token 识别监控项
+    const pushRoute = url.pathname.match(/^\/push\/([\w-]+)\/?$/);
+    if (pushRoute) return handlePush(env, url, pushRoute[1]);
+
+    // 公开状态页（无需登录，未启用时继续走后续流程）
+    if (request.method === "GET") {
+      const statusResponse = await handleStatusPage(request, env, url);
+      if (statusResponse) return statusResponse;
+    }
+
+    const users = await getUsers(env);
+
+    // 初始化流程：创建第一个管理员
+    if (users.length === 0) {
       if (request.method === "POST" && url.pathname === "/setup") {
         return handleSetup(request, env);
       }
-      return new Response(renderHTML({ type: 'setup' }), { headers: { 'Content-Type': 'text/html;charset=UTF-8' } });
+      return new Response(renderHTML({ type: 'setup', locale: resolveLocale(request) }), { headers: { 'Content-Type': 'text/html;charset=UTF-8' } });
     }
 
-    // 验证流程
-    const cookie = request.headers.get("Cookie");
-    const sessionHash = cookie?.match(/auth=([^;]+)/)?.[1];
+    // 验证流程：Cookie 中只保存随机会话 ID，会话内容存放在 KV
+    const session = await getSession(request, env, users);
 
-    if (sessionHash !== storedPasswordHash) {
+    if (!session) {
       if (request.method === "POST" && url.pathname === "/login") {
-        return handleLogin(request, env, storedPasswordHash);
+        return handleLogin(request, env, users);
       }
-      return new Response(renderHTML({ type: 'login' }), { headers: { 'Content-Type': 'text/html;charset=UTF-8' } });
+      return new Response(renderHTML({ type: 'login', locale: resolveLocale(request) }), { headers: { 'Content-Type': 'text/html;charset=UTF-8' } });
+    }
+
+    // 所有已登录的 POST 请求都必须携带与会话匹配的 CSRF Token
+    if (request.method === "POST" && !await verifyCsrf(request, session)) {
+      return new Response(renderHTML({
+        type: 'error',
+        locale: session.locale,
+        title: translate(session.locale, 'error.csrf.title'),
+        message: translate(session.locale, 'error.csrf.message')
+      }), { status: 403, headers: { 'Content-Type': 'text/html;charset=UTF-8' } });
+    }
+
+    // 查看者只能浏览控制台、手动执行任务和管理自己的账户
+    const isAdmin = session.user.role === 'admin';
+    if (!isAdmin && (request.method === "POST" ? !VIEWER_POST_ROUTES.includes(url.pathname) : ADMIN_GET_ROUTES.includes(url.pathname))) {
+      return new Response(renderHTML({
+        type: 'error',
+        locale: session.locale,
+        title: translate(session.locale, 'error.forbidden.title'),
+        message: translate(session.locale, 'error.forbidden.message')
+      }), { status: 403, headers: { 'Content-Type': 'text/html;charset=UTF-8' } });
     }
 
     // --- 业务路由 ---
 
-    if (url.pathname === "/logout") return handleLogout();
-    if (request.method === "POST" && url.pathname === "/add-url") return handleAddUrl(request, env);
+    if (request.method === "POST" && url.pathname === "/logout") return handleLogout(env, session);
+    if (request.method === "POST" && url.pathname === "/logout-all") return handleLogoutAll(env, session);
+    if (request.method === "POST" && url.pathname === "/change-password") return handleChangePassword(request, env, session, users);
+    if (request.method === "POST" && url.pathname === "/save-preferences") return handleSavePreferences(request, env, session);
+    if (url.pathname === "/content") return renderContentPage(env, session, url);
+    if (url.pathname === "/logs") return renderLogsPage(env, session, url);
+    if (url.pathname === "/logs/export") return handleLogExport(env, url);
+    if (url.pathname === "/incidents") return renderIncidentsPage(env, session, url);
+    if (request.method === "POST" && url.pathname === "/ack-incident") return handleAckIncident(request, env, session);
+    if (request.method === "POST" && url.pathname === "/incident-note") return handleIncidentNote(request, env, session);
+    if (url.pathname === "/account") return renderAccountPage(env, session, { notice: url.searchParams.get("notice") || "" });
+    if (request.method === "POST" && url.pathname === "/save-user") return handleSaveUser(request, env, session, users);
+    if (request.method === "POST" && url.pathname === "/delete-user") return handleDeleteUser(request, env, session, users);
+    if (url.pathname === "/users") return renderUsersPage(session, users, { notice: url.searchParams.get("notice") || "" });
+    if (url.pathname === "/export") return handleExport(env, url.searchParams.get("secrets") === "1");
+    if (request.method === "POST" && url.pathname === "/import") return handleImport(request, env, session);
+    if (url.pathname === "/import") return renderImportPage(session);
+    if (request.method === "POST" && url.pathname === "/add-url") return handleAddUrl(request, env, session);
     if (request.method === "POST" && url.pathname === "/delete-url") return handleDeleteUrl(request, env);
-    if (request.method === "POST" && url.pathname === "/save-settings") return handleSaveSettings(request, env);
+    if (request.method === "POST" && url.pathname === "/bulk") return handleBulkAction(request, env, session);
+    if (request.method === "POST" && url.pathname === "/toggle-group") return handleToggleGroup(request, env);
+    if (request.method === "POST" && url.pathname === "/save-settings") return handleSaveSettings(request, env, session);
+    if (request.method === "POST" && url.pathname === "/save-notify") return handleSaveNotify(request, env);
+    if (request.method === "POST" && url.pathname === "/test-notify") return handleTestNotify(request, env, session);
+    if (request.method === "POST" && url.pathname === "/create-token") return handleCreateToken(request, env, session);
+    if (request.method === "POST" && url.pathname === "/revoke-token") return handleRevokeToken(request, env);
+    if (request.method === "POST" && url.pathname === "/save-status-page") return handleSaveStatusPage(request, env, session);
+    if (request.method === "POST" && url.pathname === "/save-maintenance") return handleSaveMaintenance(request, env, session);
+    if (request.method === "POST" && url.pathname === "/end-maintenance") return handleEndMaintenance(request, env);
+    if (request.method === "POST" && url.pathname === "/delete-maintenance") return handleDeleteMaintenance(request, env);
     
     // 手动执行任务
     if (request.method === "POST" && url.pathname === "/execute") {
@@ -47,174 +110,3652 @@ export default {
     }
 
     // 默认主页
-    const urls = await getKVJSON(env, "urls", []);
-    const logs = await getKVJSON(env, "logs", []);
-    const settings = await getKVJSON(env, "settings", { retryCount: 0, retryDelay: 1 });
+    const urls = await getMonitors(env);
+    const logs = await getStore(env).getLogs({ limit: 5 });
+    const settings = await getSettings(env);
+    const state = await getJSON(env, "state", {});
+    const stats = await getJSON(env, "stats", {});
+    const schedule = await getJSON(env, "schedule", {});
+    const cronMeta = await getJSON(env, "cronMeta", {});
+    const maintenance = await getMaintenanceWindows(env);
+    const contentHashes = await getJSON(env, "contentHashes", {});
+    const heartbeats = await getHeartbeats(env, urls);
+    const incidents = (await getJSON(env, "incidents", [])).filter(i => !i.endedAt);
+    const tokens = isAdmin ? await getJSON(env, "apiTokens", []) : [];
+    const notice = url.searchParams.get("notice") || "";
+    const filter = { q: url.searchParams.get("q") || "", tag: url.searchParams.get("tag") || "" };
 
     return new Response(renderHTML({ 
       type: 'dashboard', 
-      data: { urls, logs, settings } 
+      csrf: session.csrf,
+      locale: session.locale,
+      timeZone: session.timeZone,
+      data: { urls, logs, settings, state, stats, schedule, cronMeta, maintenance, contentHashes, heartbeats, incidents, tokens, notice, filter, user: session.user, origin: url.origin } 
     }), { headers: { 'Content-Type': 'text/html;charset=UTF-8' } });
   },
 
   // --- 2. Cron 触发器入口 (自动执行) ---
   async scheduled(event, env, ctx) {
     // 使用 ctx.waitUntil 确保任务在 Worker 销毁前完成
-    ctx.waitUntil(executeTasksAndSaveLogs(env, "CRON"));
+    ctx.waitUntil(runScheduledTasks(env, event));
   }
 };
 
 // --- 核心业务逻辑 ---
 
-// 执行任务、重试逻辑与日志保存
-async function executeTasksAndSaveLogs(env, triggerType) {
-  const urls = await getKVJSON(env, "urls", []);
-  if (urls.length === 0) return;
+// Cron 触发：记录触发周期，只执行已到期的监控项
+async function runScheduledTasks(env, event) {
+  await ensureStorage(env);
+  const now = event.scheduledTime || Date.now();
+  await updateJSON(env, "cronMeta", {}, meta => {
+    const observed = meta.lastTickAt ? Math.round((now - meta.lastTickAt) / 60000) : 0;
+    return {
+      cron: event.cron,
+      lastTickAt: now,
+      cadenceMinutes: parseCronCadence(event.cron) || observed || meta.cadenceMinutes || 0
+    };
+  });
+
+  const urls = await getMonitors(env);
+  const schedule = await getJSON(env, "schedule", {});
+  const dueIds = urls.filter(m => isMonitorDue(m, schedule[m.id], now)).map(m => m.id);
+  if (dueIds.length === 0) return null;
+  return executeTasksAndSaveLogs(env, "CRON", dueIds);
+}
+
+// Cron 触发时间存在秒级误差，提前 30 秒内也视为到期
+function isMonitorDue(monitor, entry, now) {
+  if (!monitor.interval || !entry?.nextDueAt) return true;
+  return now >= entry.nextDueAt - 30000;
+}
+
+// 解析常见的 Cron 表达式周期（分钟），无法识别时返回 0
+function parseCronCadence(cron) {
+  const [min, hour, ...rest] = String(cron || '').trim().split(/\s+/);
+  if (rest.length !== 3 || rest.some(f => f !== '*')) return 0;
+  const step = (field) => field === '*' ? 1 : parseInt(field.match(/^\*\/(\d+)$/)?.[1]) || 0;
+  if (hour === '*') return /^\d+$/.test(min) ? 60 : step(min);
+  if (/^\d+$/.test(min)) return step(hour) * 60;
+  return 0;
+}
+
+// 记录本次执行时间，并按间隔 + 随机抖动计算下次到期时间
+async function updateSchedule(env, urls, startedAt) {
+  await updateJSON(env, "schedule", {}, schedule => {
+    for (const m of urls) {
+      schedule[m.id] = { lastRunAt: startedAt, nextDueAt: getNextDueAt(m, startedAt) };
+    }
+  });
+}
+
+function getNextDueAt(monitor, lastRunAt) {
+  const jitterMs = monitor.jitter ? Math.floor(Math.random() * monitor.jitter * 60000) : 0;
+  return monitor.interval ? lastRunAt + monitor.interval * 60000 + jitterMs : null;
+}
+
+// 编辑后间隔或抖动发生变化时，按上次执行时间重新计算下次到期时间
+async function rescheduleMonitor(env, previous, monitor) {
+  if (!previous || (previous.interval === monitor.interval && previous.jitter === monitor.jitter)) return;
+  await updateJSON(env, "schedule", {}, schedule => {
+    const entry = schedule[monitor.id];
+    if (entry) entry.nextDueAt = getNextDueAt(monitor, entry.lastRunAt);
+  });
+}
+
+// 执行任务、重试逻辑与日志保存（onlyIds 用于只执行指定监控项）
+async function executeTasksAndSaveLogs(env, triggerType, onlyIds) {
+  const settings = await getSettings(env);
+  // 已暂停的监控项及暂停分组内的监控项不参与执行
+  let urls = (await getMonitors(env)).filter(m => !isMonitorPaused(m, settings));
+  if (onlyIds) urls = urls.filter(m => onlyIds.includes(m.id));
+  if (urls.length === 0) return null;
 
-  const settings = await getKVJSON(env, "settings", { retryCount: 0, retryDelay: 1 });
-  const timestamp = new Date().toLocaleString('zh-CN', { timeZone: 'Asia/Shanghai' });
+  const startedAt = Date.now();
+  // 日志保存 ISO 时间，由界面按设置的时区展示；通知中的时间直接按设置的时区格式化
+  const timestamp = new Date(startedAt).toISOString();
+  const notifyTime = formatDateTime(startedAt, DEFAULT_LOCALE, settings.timezone);
+  const budget = createRunBudget(settings.run, startedAt, countNotificationRequests(settings.notify));
+  const windows = await getMaintenanceWindows(env);
   
-  // 并发执行所有 URL 检测
-  const results = await Promise.all(urls.map(async (u) => {
-    return await fetchWithRetry(u, settings.retryCount, settings.retryDelay);
-  }));
+  // 按并发上限分批执行监控项检测，单个检测出错不影响整次执行
+  const results = await runWithConcurrency(urls, settings.run.concurrency, async (m) => {
+    const maintenance = findActiveMaintenance(windows, m.id, startedAt);
+    if (maintenance?.mode === 'skip') {
+      return { id: m.id, url: m.url, method: m.method, status: 0, ok: false, skipped: true, maintenance: maintenance.name || 'maintenance', error: 'skipped: maintenance', attempts: 0, assertions: [] };
+    }
+    let result;
+    try {
+      // 推送监控不发起请求，只检查最近一次心跳
+      result = m.type === 'push' ? await checkHeartbeat(env, m, settings) : await fetchWithRetry(m, settings, budget);
+    } catch (e) {
+      result = { id: m.id, url: m.url, method: m.method, status: 0, ok: false, error: e.message, attempts: 1, assertions: [] };
+    }
+    // 维护期间照常检测，但结果只做记录
+    return maintenance ? { ...result, maintenance: maintenance.name || 'maintenance' } : result;
+  });
+
+  // 对比监测内容并从结果中移除快照正文，避免写入日志
+  await processContentChanges(env, urls, settings.notify, results, notifyTime, budget);
 
   const newLog = { 
     id: Date.now(), 
     timestamp, 
     trigger: triggerType, // 标记是手动还是定时
+    duration: Date.now() - startedAt,
+    subrequests: budget.used,
     results 
   };
   
-  // 日志管理：获取旧日志 -> 插入新日志 -> 截断保留14条 -> 保存
-  let logs = await getKVJSON(env, "logs", []);
-  logs.unshift(newLog);
-  if (logs.length > 14) logs = logs.slice(0, 14); // 保留最新 14 条
-  
-  await env.MY_KV.put("logs", JSON.stringify(logs));
+  // 日志逐条写入，只保留设置中的最新若干条
+  await getStore(env).appendLog(newLog, settings.logRetention);
+
+  // 被跳过或处于维护窗口的检测不计入告警与统计；因预算耗尽被跳过的不推迟其下次执行
+  const checked = results.filter(r => !r.skipped && !r.maintenance);
+  const handled = results.filter(r => !r.skipped || r.maintenance);
+
+  // 根据状态变化发送告警
+  await processAlerts(env, settings.notify, checked, notifyTime, budget);
+
+  // 由连续失败生成故障事件，恢复时关闭
+  await processIncidents(env, urls, checked, startedAt);
+
+  // 累计每小时 / 每日统计
+  await recordStats(env, settings.stats, checked);
+
+  // 更新 /metrics 使用的累计计数与最近一次结果
+  await recordMetrics(env, checked);
+
+  // 更新各监控项的下次执行时间
+  await updateSchedule(env, urls.filter(m => handled.some(r => r.id === m.id)), startedAt);
+  return newLog;
+}
+
+// 以固定数量的工作协程消费任务，结果保持原顺序
+async function runWithConcurrency(items, limit, task) {
+  const results = new Array(items.length);
+  let next = 0;
+  const workers = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await task(items[i], i);
+    }
+  });
+  await Promise.all(workers);
+  return results;
+}
+
+// 单次执行的子请求与时间预算，接近平台限制时停止发起新请求
+// reserved 为发送一次通知所需的子请求数，检测不会占用这部分额度，保证告警能够发出
+function createRunBudget(run, startedAt, reserved = 0) {
+  const deadline = startedAt + run.timeBudgetSeconds * 1000;
+  const checkLimit = Math.max(1, run.subrequestBudget - reserved);
+  return {
+    used: 0,
+    remainingMs() {
+      return deadline - Date.now();
+    },
+    // 预留一个请求超时的时间，避免最后一个请求拖过期限
+    take() {
+      if (this.used >= checkLimit || this.remainingMs() < run.timeoutSeconds * 1000) return false;
+      this.used++;
+      return true;
+    },
+    // 通知可以使用预留额度，只受子请求总数限制
+    takeNotification(count) {
+      if (this.used + count > run.subrequestBudget) return false;
+      this.used += count;
+      return true;
+    }
+  };
+}
+
+// 计算第 attempt 次重试前的等待时间 (ms)
+function getRetryDelay(settings, attempt) {
+  const base = Math.max(1, parseInt(settings.retryDelay) || 1) * 1000;
+  if (settings.run.backoff !== 'exponential') return base;
+  // 指数退避 + 抖动：在 [exp/2, exp] 区间内随机
+  const exp = Math.min(settings.run.maxBackoffSeconds * 1000, base * 2 ** attempt);
+  return Math.round(exp / 2 + Math.random() * exp / 2);
 }
 
-// 带重试机制的 Fetch
-async function fetchWithRetry(url, maxRetries, delaySeconds) {
+// 带重试、超时与预算控制的检测（HTTP、多步骤场景、TCP 或 DNS），校验断言
+async function fetchWithRetry(monitor, settings, budget) {
   let attempt = 0;
   // 确保参数合法
-  const retries = Math.max(0, parseInt(maxRetries) || 0);
-  const delayMs = Math.max(1, parseInt(delaySeconds) || 1) * 1000;
+  const retries = Math.max(0, parseInt(settings.retryCount) || 0);
+  const timeoutMs = settings.run.timeoutSeconds * 1000;
+  const { id, url, method } = monitor;
+  let lastFailure = null;
 
   while (attempt <= retries) {
-    const startTime = Date.now();
+    // 预算耗尽：未检测过的记为跳过，重试中的返回上一次失败结果
+    if (!budget.take()) {
+      if (lastFailure) return { ...lastFailure, error: `${lastFailure.error}（预算耗尽，停止重试）` };
+      return { id, url, method, status: 0, ok: false, skipped: true, error: 'skipped: budget exhausted', attempts: 0, assertions: [] };
+    }
+
+    const outcome = monitor.type === 'scenario' ? await runScenario(monitor, settings, budget)
+      : monitor.type === 'tcp' ? await checkTcp(monitor, settings)
+      : monitor.type === 'dns' ? await checkDns(monitor, settings)
+      : await checkHttp(monitor, settings);
+    const result = { id, url, method, ...outcome, attempts: attempt + 1 };
+
+    // 所有断言通过，直接返回
+    if (result.ok) return result;
+
+    lastFailure = result;
+    const delayMs = getRetryDelay(settings, attempt);
+    // 如果是最后一次尝试，返回失败结果；剩余时间不足以等待并再请求一次时也停止重试
+    if (attempt === retries) return lastFailure;
+    if (budget.remainingMs() < delayMs + timeoutMs) return { ...lastFailure, error: `${lastFailure.error}（预算耗尽，停止重试）` };
+
+    // 等待后重试
+    await new Promise(resolve => setTimeout(resolve, delayMs));
+    attempt++;
+  }
+}
+
+// 单次 HTTP 检测，开启内容监测时附带提取出的快照
+async function checkHttp(monitor, settings) {
+  const watching = monitor.watch.mode !== 'off';
+  const { response, ...outcome } = await performRequest(monitor, settings, { readBody: watching });
+  if (outcome.ok && watching) {
     try {
-      const resp = await fetch(url, { 
-        method: 'GET', 
-        headers: { 'User-Agent': 'Cloudflare-Keep-Alive-v2' },
-        redirect: 'follow'
-      });
-      
-      const duration = Date.now() - startTime;
-      
-      // 如果状态码是成功的 (2xx)，直接返回
-      if (resp.ok) {
-        return { url, status: resp.status, ok: true, time: duration, attempts: attempt + 1 };
+      outcome.snapshot = await extractWatchedContent(monitor.watch, response.bodyText);
+    } catch (e) {
+      outcome.watchError = `内容提取失败: ${e.message}`;
+    }
+  }
+  return outcome;
+}
+
+// 发送一次请求并校验断言，返回 { status, ok, time, error?, assertions, response }
+// response 包含响应头与（需要时读取的）响应体，供场景步骤提取变量
+async function performRequest(req, settings, { readBody = false, redirect = 'follow' } = {}) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), settings.run.timeoutSeconds * 1000);
+  const startTime = Date.now();
+  let status = 0;
+  let duration;
+  let assertions = [];
+  try {
+    const headers = { 'User-Agent': DEFAULT_USER_AGENT, ...req.headers };
+    const resp = await fetch(req.url, { 
+      method: req.method, 
+      headers,
+      body: ['GET', 'HEAD'].includes(req.method) || !req.body ? undefined : req.body,
+      redirect,
+      signal: controller.signal
+    });
+    status = resp.status;
+
+    // 只有关键字/正则断言与需要响应体的调用方读取响应体，否则及时释放连接
+    const { keyword, regex } = req.assertions;
+    const bodyText = keyword || regex || readBody ? await resp.text() : (await resp.body?.cancel(), '');
+    duration = Date.now() - startTime;
+
+    assertions = checkAssertions(req.assertions, resp.status, bodyText, duration);
+    const failed = assertions.find(a => !a.ok);
+    const response = { headers: resp.headers, bodyText };
+    if (failed) return { status, ok: false, time: duration, error: failed.detail, assertions, response };
+    return { status, ok: true, time: duration, assertions, response };
+  } catch (e) {
+    return {
+      status,
+      ok: false,
+      time: duration,
+      error: controller.signal.aborted ? `请求超时 (${settings.run.timeoutSeconds}s)` : e.message,
+      assertions
+    };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// 逐项校验响应断言，返回每项的通过情况
+function checkAssertions(rules, status, bodyText, duration) {
+  const results = [];
+
+  // 状态码：未配置时沿用 2xx 即成功
+  const statusOk = rules.statusCodes ? matchStatusCodes(rules.statusCodes, status) : status >= 200 && status < 300;
+  results.push({ name: 'status', ok: statusOk, detail: statusOk ? `HTTP ${status}` : `HTTP ${status} 不在预期 ${rules.statusCodes || '2xx'} 内` });
+  return [...results, ...checkContentAssertions(rules, bodyText, duration)];
+}
+
+// 关键字、排除正则与耗时断言，TCP 回复与 DNS 记录同样适用
+function checkContentAssertions(rules, bodyText, duration) {
+  const results = [];
+
+  if (rules.keyword) {
+    const ok = bodyText.includes(rules.keyword);
+    results.push({ name: 'keyword', ok, detail: ok ? '包含关键字' : `缺少关键字: ${rules.keyword}` });
+  }
+
+  if (rules.regex) {
+    let ok;
+    let detail;
+    try {
+      ok = !new RegExp(rules.regex).test(bodyText);
+      detail = ok ? '未匹配排除正则' : `匹配到排除正则: ${rules.regex}`;
+    } catch (e) {
+      ok = false;
+      detail = `正则无效: ${rules.regex}`;
+    }
+    results.push({ name: 'regex', ok, detail });
+  }
+
+  if (rules.maxLatency) {
+    const ok = duration <= rules.maxLatency;
+    results.push({ name: 'latency', ok, detail: ok ? `${duration}ms` : `响应耗时 ${duration}ms 超过 ${rules.maxLatency}ms` });
+  }
+
+  return results;
+}
+
+// 解析形如 "200-299,401" 的状态码规则
+function matchStatusCodes(rule, status) {
+  return rule.split(',').map(s => s.trim()).filter(Boolean).some(part => {
+    const [from, to] = part.split('-').map(n => parseInt(n));
+    return to ? status >= from && status <= to : status === from;
+  });
+}
+
+// --- TCP 与 DNS 检测 ---
+
+const MAX_SOCKET_REPLY = 65536;
+const DNS_RECORD_TYPES = { A: 1, AAAA: 28, CNAME: 5, MX: 15, TXT: 16, NS: 2, SRV: 33, CAA: 257 };
+const DNS_RCODES = { 1: 'FORMERR', 2: 'SERVFAIL', 3: 'NXDOMAIN', 4: 'NOTIMP', 5: 'REFUSED' };
+
+// tcp://主机:端口，IPv6 地址写在方括号内
+function parseTcpTarget(url) {
+  const match = /^tcp:\/\/(\[[0-9a-f:.]+\]|[^/:\s[\]]+):(\d{1,5})\/?$/i.exec(url || '');
+  const port = match && parseInt(match[2]);
+  if (!port || port > 65535) return null;
+  return { hostname: match[1].replace(/^\[|\]$/g, ''), port };
+}
+
+// dns://域名
+function parseDnsTarget(url) {
+  return /^dns:\/\/([a-z0-9_-]+(?:\.[a-z0-9_-]+)*)\.?\/?$/i.exec(url || '')?.[1] || null;
+}
+
+// 在截止时间前等待 promise，超时返回 null
+function settleBefore(promise, deadline) {
+  let timer;
+  const timeout = new Promise(resolve => { timer = setTimeout(() => resolve(null), Math.max(0, deadline - Date.now())); });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// 建立 TCP 连接，可发送探测内容（请求体）并用关键字 / 正则校验回复；time 为建立连接的耗时
+async function checkTcp(monitor, settings) {
+  const target = parseTcpTarget(monitor.url);
+  if (!target) return { status: 0, ok: false, error: `无效的 TCP 地址: ${monitor.url}`, assertions: [] };
+  const { hostname, port } = target;
+  const deadline = Date.now() + settings.run.timeoutSeconds * 1000;
+  const startTime = Date.now();
+  let socket;
+  // 连接建立后的耗时；之后读写出错时仍保留在结果中
+  let duration;
+  try {
+    // 按需加载，其他运行环境（如 Node 下的测试）导入本文件时不依赖该模块
+    const { connect } = await import('cloudflare:sockets');
+    socket = connect({ hostname, port });
+    if (await settleBefore(socket.opened.then(() => true), deadline) === null) {
+      return { status: 0, ok: false, error: `连接超时 (${settings.run.timeoutSeconds}s)`, assertions: [] };
+    }
+    duration = Date.now() - startTime;
+
+    if (monitor.body) {
+      const writer = socket.writable.getWriter();
+      await writer.write(new TextEncoder().encode(monitor.body));
+      writer.releaseLock();
+    }
+    const { keyword, regex } = monitor.assertions;
+    const reply = keyword || regex ? await readSocketReply(socket, keyword, deadline) : '';
+
+    const assertions = [{ name: 'connect', ok: true, detail: `${hostname}:${port}` }, ...checkContentAssertions(monitor.assertions, reply, duration)];
+    const failed = assertions.find(a => !a.ok);
+    if (failed) return { status: 0, ok: false, time: duration, error: failed.detail, assertions };
+    return { status: 0, ok: true, time: duration, assertions };
+  } catch (e) {
+    if (duration !== undefined) return { status: 0, ok: false, time: duration, error: `读取回复失败: ${e.message}`, assertions: [] };
+    return { status: 0, ok: false, error: `连接失败: ${e.message}`, assertions: [] };
+  } finally {
+    try { socket?.close(); } catch (e) { /* 连接未建立时无需关闭 */ }
+  }
+}
+
+// 读取对端回复，直到包含关键字、连接关闭、超过上限或超时；未设置关键字时只读取第一段数据
+async function readSocketReply(socket, keyword, deadline) {
+  const reader = socket.readable.getReader();
+  const decoder = new TextDecoder();
+  let text = '';
+  while (text.length < MAX_SOCKET_REPLY) {
+    const chunk = await settleBefore(reader.read(), deadline);
+    if (!chunk || chunk.done) break;
+    text += decoder.decode(chunk.value, { stream: true });
+    if (!keyword || text.includes(keyword)) break;
+  }
+  return text;
+}
+
+// 通过 DNS-over-HTTPS（JSON 格式）解析域名，断言记录存在且（设置时）包含期望值；time 为解析耗时
+async function checkDns(monitor, settings) {
+  const { recordType, expected } = monitor.dns;
+  const endpoint = new URL(settings.dnsResolver);
+  endpoint.searchParams.set('name', parseDnsTarget(monitor.url));
+  endpoint.searchParams.set('type', recordType);
+
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), settings.run.timeoutSeconds * 1000);
+  const startTime = Date.now();
+  try {
+    const resp = await fetch(endpoint, { headers: { 'Accept': 'application/dns-json' }, signal: controller.signal });
+    if (!resp.ok) {
+      await resp.body?.cancel();
+      return { status: 0, ok: false, error: `DoH 服务返回 HTTP ${resp.status}`, assertions: [] };
+    }
+    const answer = await resp.json();
+    const duration = Date.now() - startTime;
+    if (answer.Status !== 0) {
+      return { status: 0, ok: false, time: duration, error: `解析失败: ${DNS_RCODES[answer.Status] || answer.Status}`, assertions: [] };
+    }
+
+    const records = (answer.Answer || []).filter(a => a.type === DNS_RECORD_TYPES[recordType]).map(a => normalizeDnsValue(a.data));
+    const assertions = [{ name: 'record', ok: records.length > 0, detail: records.length > 0 ? `${recordType} ${records.join(', ')}` : `没有 ${recordType} 记录` }];
+    if (expected) {
+      const ok = records.some(r => r.toLowerCase() === normalizeDnsValue(expected).toLowerCase());
+      assertions.push({ name: 'expected', ok, detail: ok ? `包含 ${expected}` : `期望 ${expected}，实际 ${records.join(', ') || '无'}` });
+    }
+    assertions.push(...checkContentAssertions(monitor.assertions, records.join('\n'), duration));
+    const failed = assertions.find(a => !a.ok);
+    if (failed) return { status: 0, ok: false, time: duration, error: failed.detail, assertions };
+    return { status: 0, ok: true, time: duration, assertions };
+  } catch (e) {
+    return {
+      status: 0,
+      ok: false,
+      error: controller.signal.aborted ? `解析超时 (${settings.run.timeoutSeconds}s)` : e.message,
+      assertions: []
+    };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// 去掉域名末尾的点，TXT 记录去掉引号并拼接分段
+function normalizeDnsValue(value) {
+  const text = String(value).trim();
+  if (text.startsWith('"')) return text.replace(/^"|"$/g, '').replace(/"\s*"/g, '');
+  return text.replace(/\.$/, '');
+}
+
+// --- 多步骤场景检测 ---
+
+const EXTRACT_SOURCES = ['header', 'cookie', 'json', 'regex'];
+
+// 场景步骤：url 为空时使用监控项 URL；extract 从响应中提取变量供后续步骤以 {{name}} 引用
+function normalizeStep(step, i) {
+  step = step || {};
+  return {
+    name: String(step.name || `步骤 ${i + 1}`),
+    method: String(step.method || 'GET').toUpperCase(),
+    url: String(step.url || ''),
+    headers: step.headers && typeof step.headers === 'object' && !Array.isArray(step.headers) ? step.headers : {},
+    body: typeof step.body === 'string' ? step.body : step.body ? JSON.stringify(step.body) : '',
+    followRedirects: step.followRedirects !== false,
+    assertions: normalizeAssertions(step.assertions),
+    extract: Array.isArray(step.extract)
+      ? step.extract.map(x => ({ name: String(x?.name || ''), from: String(x?.from || ''), expr: String(x?.expr || '') }))
+      : []
+  };
+}
+
+// HEAD 响应没有正文，关键字与正则断言永远无法通过
+function isHeadWithBodyAssertions(req) {
+  return req.method === 'HEAD' && !!(req.assertions.keyword || req.assertions.regex);
+}
+
+function validateSteps(steps, t) {
+  if (steps.length === 0) return t('validate.stepsEmpty');
+  for (const step of steps) {
+    if (step.url && !/^(https?:\/\/|\{\{)/.test(step.url)) return `${step.name}: ${t('validate.urlScheme')}`;
+    if (!HTTP_METHODS.includes(step.method)) return `${step.name}: ${t('validate.method', { method: step.method })}`;
+    if (Object.values(step.headers).some(v => typeof v !== 'string')) return `${step.name}: ${t('validate.headerValues')}`;
+    if (isHeadWithBodyAssertions(step)) return `${step.name}: ${t('validate.headBody')}`;
+    for (const x of step.extract) {
+      if (!/^\w+$/.test(x.name)) return `${step.name}: ${t('validate.variableName')}`;
+      if (!EXTRACT_SOURCES.includes(x.from)) return `${step.name}: ${t('validate.extractSource', { from: x.from })}`;
+      if (!x.expr) return `${step.name}: ${t('validate.extractExpr', { name: x.name })}`;
+      if (x.from === 'regex') {
+        try {
+          new RegExp(x.expr);
+        } catch (e) {
+          return `${step.name}: ${t('validate.regex', { pattern: x.expr })}`;
+        }
+      }
+    }
+  }
+  return '';
+}
+
+// 依次执行各步骤，响应中的 Cookie 自动带到后续步骤；任一步骤失败即终止并指明失败的步骤
+async function runScenario(monitor, settings, budget) {
+  const vars = {};
+  const cookies = {};
+  const steps = [];
+  const startTime = Date.now();
+  let last;
+
+  for (const [i, step] of monitor.steps.entries()) {
+    // 第一步的预算已由调用方占用
+    if (i > 0 && !budget.take()) {
+      return { status: 0, ok: false, skipped: true, time: Date.now() - startTime, error: `skipped: budget exhausted（场景在步骤 ${i + 1} 前中止）`, assertions: [], steps };
+    }
+
+    const fill = (text) => renderTemplate(text, vars);
+    const headers = Object.fromEntries(Object.entries(step.headers).map(([k, v]) => [k, fill(String(v))]));
+    if (Object.keys(cookies).length > 0 && !Object.keys(headers).some(k => k.toLowerCase() === 'cookie')) {
+      headers['Cookie'] = Object.entries(cookies).map(([k, v]) => `${k}=${v}`).join('; ');
+    }
+    const isLast = i === monitor.steps.length - 1;
+    const req = { ...step, url: fill(step.url || monitor.url), headers, body: fill(step.body) };
+    const { response, ...outcome } = await performRequest(req, settings, {
+      readBody: step.extract.some(x => x.from === 'json' || x.from === 'regex') || (isLast && monitor.watch.mode !== 'off'),
+      redirect: step.followRedirects ? 'follow' : 'manual'
+    });
+    const record = { name: step.name, method: step.method, url: req.url, status: outcome.status, ok: outcome.ok, time: outcome.time };
+    steps.push(record);
+
+    if (response) collectCookies(response.headers, cookies);
+    if (outcome.ok) {
+      try {
+        for (const rule of step.extract) vars[rule.name] = extractVariable(rule, response, cookies);
+      } catch (e) {
+        Object.assign(outcome, { ok: false, error: e.message });
       }
-      
-      // 如果状态码不是 2xx，抛出错误进入 catch 块进行重试判断
-      throw new Error(`HTTP ${resp.status}`);
-      
+    }
+    if (!outcome.ok) {
+      Object.assign(record, { ok: false, error: outcome.error });
+      return {
+        status: outcome.status,
+        ok: false,
+        time: Date.now() - startTime,
+        error: `步骤 ${i + 1}「${step.name}」失败: ${outcome.error}`,
+        assertions: outcome.assertions,
+        steps
+      };
+    }
+    last = { outcome, response };
+  }
+
+  const result = { status: last.outcome.status, ok: true, time: Date.now() - startTime, assertions: last.outcome.assertions, steps };
+  // 内容监测作用于最后一步的响应
+  if (monitor.watch.mode !== 'off') {
+    try {
+      result.snapshot = await extractWatchedContent(monitor.watch, last.response.bodyText);
+    } catch (e) {
+      result.watchError = `内容提取失败: ${e.message}`;
+    }
+  }
+  return result;
+}
+
+function collectCookies(headers, cookies) {
+  const list = headers.getSetCookie ? headers.getSetCookie() : [headers.get('set-cookie')].filter(Boolean);
+  for (const cookie of list) {
+    const pair = cookie.split(';')[0];
+    const idx = pair.indexOf('=');
+    if (idx > 0) cookies[pair.slice(0, idx).trim()] = pair.slice(idx + 1).trim();
+  }
+}
+
+function extractVariable(rule, response, cookies) {
+  let value;
+  if (rule.from === 'header') {
+    value = response.headers.get(rule.expr);
+  } else if (rule.from === 'cookie') {
+    value = cookies[rule.expr];
+  } else if (rule.from === 'json') {
+    let data;
+    try {
+      data = JSON.parse(response.bodyText);
     } catch (e) {
-      // 如果是最后一次尝试，或者遇到严重错误，返回失败结果
-      if (attempt === retries) {
-        return { 
-          url, 
-          status: 0, 
-          ok: false, 
-          error: e.message, 
-          attempts: attempt + 1 
-        };
+      throw new Error(`响应不是有效的 JSON，无法提取变量 ${rule.name}`);
+    }
+    value = getJSONPath(data, rule.expr);
+    if (value !== null && typeof value === 'object') value = JSON.stringify(value);
+  } else if (rule.from === 'regex') {
+    const match = response.bodyText.match(new RegExp(rule.expr));
+    value = match && (match[1] ?? match[0]);
+  }
+  if (value === undefined || value === null) throw new Error(`无法提取变量 ${rule.name}（${rule.from}: ${rule.expr}）`);
+  return String(value);
+}
+
+// --- 告警通知 ---
+
+// 对比每个监控项的上次状态，仅在 UP→DOWN / DOWN→UP 时通知
+async function processAlerts(env, notify, results, timestamp, budget) {
+  const alertAfter = Math.max(1, parseInt(notify.alertAfter) || 1);
+  const renotifyMs = Math.max(0, parseInt(notify.renotifyMinutes) || 0) * 60000;
+  const now = Date.now();
+  let events;
+
+  await updateJSON(env, "state", {}, state => {
+    events = [];
+    for (const r of results) {
+      const prev = state[r.id] || { status: 'UP', failures: 0, since: now };
+      if (r.ok) {
+        if (prev.status === 'DOWN') events.push({ event: 'UP', result: r, failures: prev.failures });
+        state[r.id] = { status: 'UP', failures: 0, since: prev.status === 'UP' ? prev.since : now, lastCheckAt: now };
+        continue;
       }
-      
-      // 等待后重试
-      await new Promise(resolve => setTimeout(resolve, delayMs));
-      attempt++;
+
+      const failures = prev.failures + 1;
+      const next = { ...prev, failures, lastCheckAt: now };
+      if (failures >= alertAfter) {
+        if (prev.status !== 'DOWN') {
+          events.push({ event: 'DOWN', result: r, failures });
+          Object.assign(next, { status: 'DOWN', since: now, lastAlertAt: now });
+        } else if (renotifyMs && now - (prev.lastAlertAt || 0) >= renotifyMs) {
+          events.push({ event: 'DOWN', result: r, failures });
+          next.lastAlertAt = now;
+        }
+      }
+      state[r.id] = next;
     }
+  });
+
+  // 状态写入成功后再发送通知
+  for (const e of events) {
+    await sendNotification(notify, { ...e, timestamp }, budget);
   }
 }
 
-// --- 数据处理工具函数 ---
+// 向所有已配置的渠道发送通知，返回各渠道结果；传入 budget 时每个请求都计入本次执行的子请求预算
+async function sendNotification(notify, { event, result, failures = 0, timestamp }, budget) {
+  const vars = {
+    event,
+    url: result.url,
+    status: result.status || 'ERR',
+    error: result.error || '',
+    failures,
+    time: timestamp
+  };
+  const title = event === 'UP' ? `✅ 已恢复: ${vars.url}`
+    : event === 'DOWN' ? `🚨 无法访问: ${vars.url}`
+    : event === 'CHANGED' ? `📝 内容变化: ${vars.url}`
+    : '🔔 Keep Alive 测试通知';
+  const message = [title, `状态: ${vars.status}`, vars.error && `错误: ${vars.error}`, failures ? `连续失败: ${failures} 次` : '', `时间: ${vars.time}`]
+    .filter(Boolean).join('\n');
+
+  const senders = {
+    webhook: () => fetch(notify.webhook.url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: renderTemplate(notify.webhook.template || DEFAULT_WEBHOOK_TEMPLATE, vars, v => JSON.stringify(String(v)).slice(1, -1))
+    }),
+    telegram: () => fetch(`https://api.telegram.org/bot${notify.telegram.botToken}/sendMessage`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ chat_id: notify.telegram.chatId, text: message })
+    }),
+    // 含 {{title}}/{{message}} 占位符的地址按 Bark 风格 GET，否则按 ntfy 风格 POST 正文
+    push: () => Promise.all(splitLines(notify.push.urls).map(u => u.includes('{{')
+      ? fetch(renderTemplate(u, { ...vars, title, message }, encodeURIComponent))
+      : fetch(u, { method: 'POST', headers: { 'Title': encodeURIComponent(title) }, body: message }))),
+    email: () => fetch(notify.email.apiUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${notify.email.apiKey}` },
+      body: JSON.stringify({ from: notify.email.from, to: splitLines(notify.email.to.replace(/,/g, '\n')), subject: title, text: message })
+    })
+  };
 
-async function getKVJSON(env, key, defaultValue) {
-  const val = await env.MY_KV.get(key);
-  try { return val ? JSON.parse(val) : defaultValue; } catch (e) { return defaultValue; }
+  const channels = getEnabledChannels(notify);
+  return Promise.all(channels.map(async (channel) => {
+    if (budget && !budget.takeNotification(countChannelRequests(notify, channel))) {
+      return { channel, ok: false, error: '子请求预算耗尽，未发送' };
+    }
+    try {
+      const resps = [].concat(await senders[channel]());
+      const bad = resps.find(r => !r.ok);
+      return bad ? { channel, ok: false, error: `HTTP ${bad.status}` } : { channel, ok: true };
+    } catch (e) {
+      return { channel, ok: false, error: e.message };
+    }
+  }));
 }
 
-async function hashText(text) {
-  const msgUint8 = new TextEncoder().encode(text);
-  const hashBuffer = await crypto.subtle.digest('SHA-256', msgUint8);
-  return Array.from(new Uint8Array(hashBuffer)).map(b => b.toString(16).padStart(2, '0')).join('');
+// 必填字段齐全的渠道才视为已启用
+function getEnabledChannels(notify) {
+  return [
+    notify.webhook.url && 'webhook',
+    notify.telegram.botToken && notify.telegram.chatId && 'telegram',
+    splitLines(notify.push.urls).length > 0 && 'push',
+    notify.email.apiUrl && notify.email.apiKey && notify.email.to && 'email'
+  ].filter(Boolean);
 }
 
-// --- 请求处理函数 ---
+// push 渠道对每个地址各发一次请求，其余渠道一次
+function countChannelRequests(notify, channel) {
+  return channel === 'push' ? splitLines(notify.push.urls).length : 1;
+}
 
-async function handleSetup(request, env) {
-  const formData = await request.formData();
-  const password = formData.get("password");
-  if (!password || password.length < 4) return new Response(renderHTML({ type: 'setup', error: '密码太短' }), { headers: { 'Content-Type': 'text/html;charset=UTF-8' } });
-  const hash = await hashText(password);
-  await env.MY_KV.put("password", hash);
-  return redirectWithCookie('/', hash);
+function countNotificationRequests(notify) {
+  return getEnabledChannels(notify).reduce((sum, channel) => sum + countChannelRequests(notify, channel), 0);
 }
 
-async function handleLogin(request, env, storedHash) {
-  const formData = await request.formData();
-  const inputHash = await hashText(formData.get("password"));
-  if (inputHash === storedHash) return redirectWithCookie('/', inputHash);
-  return new Response(renderHTML({ type: 'login', error: '密码错误' }), { headers: { 'Content-Type': 'text/html;charset=UTF-8' } });
+const DEFAULT_WEBHOOK_TEMPLATE = '{"event":"{{event}}","url":"{{url}}","status":"{{status}}","error":"{{error}}","failures":"{{failures}}","time":"{{time}}"}';
+
+function renderTemplate(template, vars, encode = v => v) {
+  return template.replace(/\{\{(\w+)\}\}/g, (all, key) => key in vars ? encode(vars[key]) : all);
 }
 
-async function handleSaveSettings(request, env) {
-  const formData = await request.formData();
-  const settings = {
-    retryCount: parseInt(formData.get("retryCount")),
-    retryDelay: parseInt(formData.get("retryDelay"))
+// --- 可用率与延迟统计 ---
+
+const HOUR_MS = 3600000;
+const DAY_MS = 86400000;
+// 延迟直方图分桶上限 (ms)，用于估算 p95
+const LATENCY_BOUNDS = [100, 200, 300, 500, 750, 1000, 1500, 2000, 3000, 5000, 10000, Infinity];
+
+// 将本次结果计入每个监控项的小时桶与日桶，并按保留期清理旧桶
+async function recordStats(env, retention, results) {
+  const now = Date.now();
+  const hourlyKeep = Math.max(24, parseInt(retention.hourlyRetention) || 48) * HOUR_MS;
+  const dailyKeep = Math.max(1, parseInt(retention.dailyRetention) || 30) * DAY_MS;
+
+  await updateJSON(env, "stats", {}, stats => {
+    for (const r of results) {
+      const entry = stats[r.id] || { hourly: [], daily: [] };
+      addStatSample(entry.hourly, now - now % HOUR_MS, r);
+      addStatSample(entry.daily, now - now % DAY_MS, r);
+      entry.hourly = entry.hourly.filter(b => b.t > now - hourlyKeep);
+      entry.daily = entry.daily.filter(b => b.t > now - dailyKeep);
+      stats[r.id] = entry;
+    }
+  });
+}
+
+function addStatSample(buckets, start, result) {
+  let bucket = buckets[buckets.length - 1];
+  if (!bucket || bucket.t !== start) {
+    bucket = { t: start, ok: 0, fail: 0, n: 0, sum: 0, min: null, max: null, hist: LATENCY_BOUNDS.map(() => 0) };
+    buckets.push(bucket);
+  }
+  result.ok ? bucket.ok++ : bucket.fail++;
+  if (result.time !== undefined) {
+    bucket.n++;
+    bucket.sum += result.time;
+    bucket.min = bucket.min === null ? result.time : Math.min(bucket.min, result.time);
+    bucket.max = bucket.max === null ? result.time : Math.max(bucket.max, result.time);
+    bucket.hist[LATENCY_BOUNDS.findIndex(b => result.time <= b)]++;
+  }
+}
+
+// 汇总若干个桶：可用率、最小/平均/p95 延迟
+function summarizeBuckets(buckets) {
+  const total = { ok: 0, fail: 0, n: 0, sum: 0, min: null, max: null, hist: LATENCY_BOUNDS.map(() => 0) };
+  for (const b of buckets) {
+    total.ok += b.ok;
+    total.fail += b.fail;
+    total.n += b.n;
+    total.sum += b.sum;
+    if (b.min !== null) total.min = total.min === null ? b.min : Math.min(total.min, b.min);
+    if (b.max !== null) total.max = total.max === null ? b.max : Math.max(total.max, b.max);
+    b.hist.forEach((c, i) => { total.hist[i] += c; });
+  }
+
+  let p95 = null;
+  if (total.n > 0) {
+    let seen = 0;
+    const idx = total.hist.findIndex(c => (seen += c) >= total.n * 0.95);
+    p95 = Math.min(LATENCY_BOUNDS[idx], total.max);
+  }
+
+  const checks = total.ok + total.fail;
+  return {
+    checks,
+    ok: total.ok,
+    fail: total.fail,
+    uptime: checks > 0 ? total.ok / checks * 100 : null,
+    min: total.min,
+    avg: total.n > 0 ? Math.round(total.sum / total.n) : null,
+    p95
+  };
+}
+
+// 计算单个监控项 24h / 7d / 30d 可用率以及最近 24 小时的逐小时历史
+function getUptimeSummary(entry, now = Date.now()) {
+  const hourly = entry?.hourly || [];
+  const daily = entry?.daily || [];
+  const history = [];
+  for (let i = 23; i >= 0; i--) {
+    const t = now - now % HOUR_MS - i * HOUR_MS;
+    history.push({ t, ...summarizeBuckets(hourly.filter(b => b.t === t)) });
+  }
+  return {
+    h24: summarizeBuckets(hourly.filter(b => b.t > now - 24 * HOUR_MS)),
+    d7: summarizeBuckets(daily.filter(b => b.t > now - 7 * DAY_MS)),
+    d30: summarizeBuckets(daily.filter(b => b.t > now - 30 * DAY_MS)),
+    history
   };
-  await env.MY_KV.put("settings", JSON.stringify(settings));
-  return new Response(null, { status: 302, headers: { 'Location': '/' } });
 }
 
-function handleLogout() {
-  return new Response(null, { status: 302, headers: { 'Location': '/', 'Set-Cookie': `auth=deleted; Path=/; HttpOnly; Secure; Max-Age=0` } });
+function formatUptime(summary) {
+  return summary.uptime === null ? '--' : `${summary.uptime.toFixed(summary.uptime === 100 ? 0 : 2)}%`;
 }
 
-function redirectWithCookie(loc, hash) {
-  return new Response(null, { status: 302, headers: { 'Location': loc, 'Set-Cookie': `auth=${hash}; Path=/; HttpOnly; Secure; Max-Age=86400` } });
+// --- 维护窗口 ---
+
+const TIME_OF_DAY_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// 维护窗口：一次性（start/end 时间戳）或每周重复（days + startTime/endTime，按创建时设置的时区）
+function normalizeMaintenance(w) {
+  return {
+    id: w.id || crypto.randomUUID(),
+    name: w.name || '',
+    monitors: Array.isArray(w.monitors) ? w.monitors : [], // 为空表示作用于所有监控项
+    mode: w.mode === 'mark' ? 'mark' : 'skip',
+    recurring: w.recurring === true,
+    start: Number(w.start) || 0,
+    end: Number(w.end) || 0,
+    days: Array.isArray(w.days) ? [...new Set(w.days.map(Number))].filter(d => d >= 0 && d <= 6).sort() : [],
+    startTime: w.startTime || '00:00',
+    endTime: w.endTime || '00:00',
+    skipUntil: Number(w.skipUntil) || 0, // 提前结束重复窗口时，跳过本次时段
+    timeZone: isValidTimeZone(w.timeZone) ? w.timeZone : DEFAULT_SETTINGS.timezone
+  };
 }
 
-async function handleAddUrl(request, env) {
-  const formData = await request.formData();
-  const newUrl = formData.get("url");
-  if (newUrl) {
-    const urls = await getKVJSON(env, "urls", []);
-    if (!urls.includes(newUrl)) {
-      urls.push(newUrl);
-      await env.MY_KV.put("urls", JSON.stringify(urls));
+function validateMaintenance(w, locale = DEFAULT_LOCALE) {
+  if (w.recurring) {
+    if (w.days.length === 0) return translate(locale, 'maint.error.noDays');
+    if (!TIME_OF_DAY_PATTERN.test(w.startTime) || !TIME_OF_DAY_PATTERN.test(w.endTime)) return translate(locale, 'maint.error.timeFormat');
+  } else {
+    if (!w.start || !w.end) return translate(locale, 'maint.error.missingRange');
+    if (w.end <= w.start) return translate(locale, 'maint.error.endBeforeStart');
+  }
+  return null;
+}
+
+async function getMaintenanceWindows(env) {
+  return (await getJSON(env, "maintenance", [])).map(normalizeMaintenance);
+}
+
+function updateMaintenanceWindows(env, fn) {
+  return updateJSON(env, "maintenance", [], raw => {
+    const windows = raw.map(normalizeMaintenance);
+    return fn(windows) ?? windows;
+  });
+}
+
+// 指定时区下的日期各字段
+function getZonedParts(ms, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone, hourCycle: 'h23', weekday: 'short',
+    year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit'
+  }).formatToParts(ms);
+  const get = (type) => parts.find(p => p.type === type).value;
+  return {
+    year: +get('year'), month: +get('month'), day: +get('day'),
+    hour: +get('hour'), minute: +get('minute'), second: +get('second'),
+    weekday: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(get('weekday'))
+  };
+}
+
+// 将 datetime-local 输入值（指定时区）转换为时间戳，无效时返回 0
+function parseZonedDateTime(value, timeZone) {
+  const guess = Date.parse(`${value}:00Z`);
+  if (!/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}$/.test(value || '') || isNaN(guess)) return 0;
+  const p = getZonedParts(guess, timeZone);
+  const offset = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - guess;
+  return guess - offset;
+}
+
+// 返回当前生效或下一次的维护时段 { start, end, active }，之后不再生效时返回 null
+function getMaintenanceWindow(w, now = Date.now()) {
+  let slots = [{ start: w.start, end: w.end }];
+  if (w.recurring) {
+    const p = getZonedParts(now, w.timeZone);
+    const midnight = now - ((p.hour * 60 + p.minute) * 60 + p.second) * 1000 - now % 1000;
+    const toMs = (t) => (parseInt(t.slice(0, 2)) * 60 + parseInt(t.slice(3))) * 60000;
+    // 结束时间早于开始时间表示跨越午夜，相同则持续一整天
+    const length = (toMs(w.endTime) - toMs(w.startTime) + DAY_MS) % DAY_MS || DAY_MS;
+    slots = [];
+    for (let d = -1; d <= 7; d++) {
+      if (!w.days.includes((p.weekday + d + 7) % 7)) continue;
+      const start = midnight + d * DAY_MS + toMs(w.startTime);
+      slots.push({ start, end: start + length });
     }
   }
-  return new Response(null, { status: 302, headers: { 'Location': '/' } });
+  const slot = slots.find(s => s.end > now && s.end > w.skipUntil);
+  return slot ? { ...slot, active: slot.start <= now } : null;
 }
 
-async function handleDeleteUrl(request, env) {
-  const formData = await request.formData();
-  const targetUrl = formData.get("url");
-  let urls = await getKVJSON(env, "urls", []);
-  urls = urls.filter(u => u !== targetUrl);
-  await env.MY_KV.put("urls", JSON.stringify(urls));
-  return new Response(null, { status: 302, headers: { 'Location': '/' } });
+function findActiveMaintenance(windows, monitorId, now = Date.now()) {
+  return windows.find(w =>
+    (w.monitors.length === 0 || w.monitors.includes(monitorId)) && getMaintenanceWindow(w, now)?.active) || null;
+}
+
+// --- 内容变化监测 ---
+
+const WATCH_MODES = ['off', 'body', 'selector', 'json', 'regex'];
+const CONTENT_HISTORY_LIMIT = 6; // 保留的快照数（含当前版本）
+const CONTENT_SNAPSHOT_LIMIT = 20000; // 单个快照保存的最大字符数
+
+// 按监测方式提取需要比较的文本，并移除易变部分
+async function extractWatchedContent(watch, bodyText) {
+  let text = bodyText;
+  if (watch.mode === 'selector') {
+    const parts = [];
+    await new HTMLRewriter()
+      .on(watch.expr, { element() { parts.push('\n'); }, text(chunk) { parts.push(chunk.text); } })
+      .transform(new Response(bodyText))
+      .arrayBuffer();
+    text = parts.join('').split('\n').map(line => line.replace(/\s+/g, ' ').trim()).filter(Boolean).join('\n');
+  } else if (watch.mode === 'json') {
+    const value = getJSONPath(JSON.parse(bodyText), watch.expr);
+    if (value === undefined) throw new Error(`路径不存在: ${watch.expr}`);
+    text = JSON.stringify(value, null, 2);
+  } else if (watch.mode === 'regex') {
+    text = [...bodyText.matchAll(new RegExp(watch.expr, 'g'))].map(m => m[1] ?? m[0]).join('\n');
+  }
+  for (const pattern of splitLines(watch.ignore)) {
+    text = text.replace(new RegExp(pattern, 'g'), '');
+  }
+  return text;
+}
+
+// 支持 $.a.b[0].c 与 a.b.0.c 两种写法
+function getJSONPath(value, path) {
+  const keys = path.replace(/^\$\.?/, '').match(/[^.[\]]+/g) || [];
+  return keys.reduce((v, k) => v === null || v === undefined ? undefined : v[k], value);
+}
+
+// 哈希存放在 contentHashes，快照历史按监控项单独存放在 content:<id>，只在首次与变化时写入
+async function processContentChanges(env, urls, notify, results, timestamp, budget) {
+  const watched = results.filter(r => 'snapshot' in r);
+  if (watched.length === 0) return;
+  const now = Date.now();
+  const snapshots = [];
+  for (const r of watched) {
+    snapshots.push({ result: r, text: r.snapshot, hash: await hashText(r.snapshot) });
+    delete r.snapshot;
+  }
+
+  // 先更新哈希并确定哪些内容发生了变化，再写入对应的快照历史
+  let updated;
+  await updateJSON(env, "contentHashes", {}, hashes => {
+    updated = [];
+    for (const snap of snapshots) {
+      const prev = hashes[snap.result.id];
+      const changed = !!prev && prev.hash !== snap.hash;
+      hashes[snap.result.id] = { hash: snap.hash, checkedAt: now, changedAt: changed ? now : prev?.changedAt || null };
+      // 首次记录只作为基线，不算变化
+      if (!prev || changed) updated.push({ ...snap, changed });
+    }
+  });
+
+  const events = [];
+  for (const { result: r, text, hash, changed } of updated) {
+    const entry = { at: now, hash, text: text.slice(0, CONTENT_SNAPSHOT_LIMIT), truncated: text.length > CONTENT_SNAPSHOT_LIMIT };
+    await updateJSON(env, `content:${r.id}`, [], history => [entry, ...history].slice(0, CONTENT_HISTORY_LIMIT));
+    if (!changed) continue;
+    r.changed = true;
+    if (urls.find(m => m.id === r.id)?.watch.notify) events.push({ event: 'CHANGED', result: r });
+  }
+
+  for (const e of events) {
+    await sendNotification(notify, { ...e, timestamp }, budget);
+  }
+}
+
+// 基于最长公共子序列的逐行对比，返回 { op: ' ' | '+' | '-', line } 列表
+function diffLines(before, after) {
+  const a = before.split('\n');
+  const b = after.split('\n');
+  // 行数过多时不做逐行比对，直接整体替换
+  if (a.length * b.length > 1000000) {
+    return [...a.map(line => ({ op: '-', line })), ...b.map(line => ({ op: '+', line }))];
+  }
+  const lcs = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+  const out = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      out.push({ op: ' ', line: a[i++] });
+      j++;
+    } else if (i < a.length && (j === b.length || lcs[i + 1][j] >= lcs[i][j + 1])) {
+      out.push({ op: '-', line: a[i++] });
+    } else {
+      out.push({ op: '+', line: b[j++] });
+    }
+  }
+  return out;
+}
+
+async function renderContentPage(env, session, url) {
+  const { locale, timeZone } = session;
+  const id = url.searchParams.get("id");
+  const monitor = (await getMonitors(env)).find(m => m.id === id);
+  if (!monitor) {
+    return new Response(renderHTML({ type: 'error', locale, title: translate(locale, 'error.notFound.title'), message: translate(locale, 'error.monitorNotFound') }), {
+      status: 404, headers: { 'Content-Type': 'text/html;charset=UTF-8' }
+    });
+  }
+  const history = await getJSON(env, `content:${id}`, []);
+  return new Response(renderHTML({ type: 'content', locale, timeZone, data: { monitor, history } }), {
+    headers: { 'Content-Type': 'text/html;charset=UTF-8' }
+  });
+}
+
+// --- 监控项模型 ---
+
+const DEFAULT_USER_AGENT = 'Cloudflare-Keep-Alive-v2';
+const HTTP_METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'HEAD'];
+const MONITOR_TYPES = ['http', 'scenario', 'push', 'tcp', 'dns'];
+// 非 HTTP 检测在列表与日志中显示的类型标记
+const TYPE_METHODS = { push: 'PUSH', tcp: 'TCP', dns: 'DNS' };
+
+// 统一监控项结构，旧版纯字符串 URL 会被转换为默认 GET 监控
+function normalizeMonitor(m) {
+  if (typeof m === 'string') m = { url: m };
+  const watch = m.watch || {};
+  const id = m.id || crypto.randomUUID();
+  const type = MONITOR_TYPES.includes(m.type) ? m.type : 'http';
+  return {
+    id,
+    // http 为单次请求；scenario 按 steps 依次执行多个请求；push 由外部任务定期访问心跳地址；
+    // tcp 连接 tcp://主机:端口；dns 通过 DoH 解析 dns://域名
+    type,
+    name: m.name || '',
+    group: typeof m.group === 'string' ? m.group.trim() : '',
+    // 非数组或含非字符串的 tags 原样保留，交由 validateMonitor 拒绝
+    tags: Array.isArray(m.tags) ? [...new Set(m.tags.map(t => typeof t === 'string' ? t.trim() : t).filter(Boolean))] : m.tags ?? [],
+    paused: m.paused === true,
+    // 推送监控没有目标地址，以 push://<id> 在日志与指标中标识
+    url: type === 'push' ? `push://${id}` : m.url,
+    method: TYPE_METHODS[type] || String(m.method || 'GET').toUpperCase(),
+    headers: m.headers || {},
+    body: m.body || '',
+    // 检测间隔与随机抖动（分钟），间隔为 0 表示每次 Cron 触发都执行
+    interval: Math.max(0, parseInt(m.interval) || 0),
+    jitter: Math.max(0, parseInt(m.jitter) || 0),
+    assertions: normalizeAssertions(m.assertions),
+    steps: Array.isArray(m.steps) ? m.steps.map(normalizeStep) : [],
+    push: type === 'push' ? normalizePush(m.push) : null,
+    dns: type === 'dns' ? {
+      recordType: DNS_RECORD_TYPES[String(m.dns?.recordType).toUpperCase()] ? String(m.dns.recordType).toUpperCase() : 'A',
+      expected: String(m.dns?.expected || '').trim()
+    } : null,
+    // 内容变化监测：expr 按 mode 解释为选择器、JSON 路径或正则；ignore 每行一个正则，匹配部分不参与比较
+    watch: {
+      mode: WATCH_MODES.includes(watch.mode) ? watch.mode : 'off',
+      expr: String(watch.expr || ''),
+      ignore: String(watch.ignore || ''),
+      notify: watch.notify === true
+    }
+  };
+}
+
+function normalizeAssertions(assertions) {
+  assertions = assertions || {};
+  return {
+    statusCodes: String(assertions.statusCodes || ''),
+    keyword: String(assertions.keyword || ''),
+    regex: String(assertions.regex || ''),
+    maxLatency: parseInt(assertions.maxLatency) || 0
+  };
+}
+
+// 心跳周期与宽限时间（分钟）；since 为 Token 生成时间，从未收到心跳时以此起算
+function normalizePush(push) {
+  push = push || {};
+  const grace = parseInt(push.grace);
+  return {
+    token: push.token || randomHex(16),
+    period: Math.max(1, parseInt(push.period) || 60),
+    grace: Number.isNaN(grace) ? 5 : Math.max(0, grace),
+    since: parseInt(push.since) || Date.now()
+  };
+}
+
+function isMonitorPaused(m, settings) {
+  return m.paused || (!!m.group && settings.pausedGroups.includes(m.group));
+}
+
+// 读取监控列表，发现旧格式时自动迁移并写回
+async function getMonitors(env) {
+  const raw = await getJSON(env, "urls", []);
+  if (raw.some(m => typeof m === 'string' || !m.id || (m.type === 'push' && !m.push?.token))) {
+    return updateMonitors(env, () => {});
+  }
+  return raw.map(normalizeMonitor);
+}
+
+// 原子地修改监控列表：fn 可直接修改传入的列表，或返回新的列表
+function updateMonitors(env, fn) {
+  return updateJSON(env, "urls", [], raw => {
+    const monitors = raw.map(normalizeMonitor);
+    return fn(monitors) ?? monitors;
+  });
+}
+
+// 删除监控项并清理其告警状态
+async function removeMonitor(env, id) {
+  let found = false;
+  await updateMonitors(env, urls => {
+    found = urls.some(m => m.id === id);
+    return urls.filter(m => m.id !== id);
+  });
+  if (!found) return false;
+  await cleanupMonitorData(env, [id]);
+  return true;
+}
+
+// 清理已删除监控项的状态、统计与调度记录
+async function cleanupMonitorData(env, ids) {
+  if (ids.length === 0) return;
+  for (const key of ["state", "stats", "schedule", "metrics", "contentHashes"]) {
+    await updateJSON(env, key, {}, map => { ids.forEach(id => { delete map[id]; }); });
+  }
+  await Promise.all(ids.flatMap(id => [getStore(env).delete(`content:${id}`), getStore(env).delete(`heartbeat:${id}`)]));
+  // 未结束的故障随监控项删除而关闭，历史记录保留
+  const now = Date.now();
+  await updateJSON(env, "incidents", [], incidents => {
+    for (const i of incidents) {
+      if (ids.includes(i.monitorId) && !i.endedAt) Object.assign(i, { endedAt: now, duration: now - i.startedAt });
+    }
+  });
+}
+
+// 校验监控项，返回错误信息（合法时返回空字符串）；控制台按会话语言提示，API 与导入使用默认语言
+function validateMonitor(m, locale = DEFAULT_LOCALE) {
+  const t = (key, vars) => translate(locale, key, vars);
+  if (m.type === 'push') {
+    if (!/^[\w-]{8,}$/.test(m.push.token)) return t('validate.pushToken');
+  } else if (m.type === 'tcp') {
+    if (!parseTcpTarget(m.url)) return t('validate.tcpUrl', { url: m.url });
+  } else if (m.type === 'dns') {
+    if (!parseDnsTarget(m.url)) return t('validate.dnsUrl', { url: m.url });
+  } else {
+    if (!m.url) return t('validate.urlRequired');
+    try {
+      if (!['http:', 'https:'].includes(new URL(m.url).protocol)) return t('validate.urlScheme');
+    } catch (e) {
+      return t('validate.urlInvalid', { url: m.url });
+    }
+    if (!HTTP_METHODS.includes(m.method)) return t('validate.method', { method: m.method });
+    if (m.type === 'http' && isHeadWithBodyAssertions(m)) return t('validate.headBody');
+  }
+  if (!m.headers || typeof m.headers !== 'object' || Array.isArray(m.headers)) return t('validate.headers');
+  if (Object.values(m.headers).some(v => typeof v !== 'string')) return t('validate.headerValues');
+  if (!Array.isArray(m.tags) || m.tags.some(tag => typeof tag !== 'string')) return t('validate.tags');
+  for (const key of ['body', 'name', 'group']) {
+    if (typeof m[key] !== 'string') return t('validate.string', { field: key });
+  }
+  if (m.type === 'scenario') {
+    const error = validateSteps(m.steps, t);
+    if (error) return error;
+  }
+  if (!['off', 'body'].includes(m.watch.mode) && !m.watch.expr) return t('validate.watchExpr');
+  for (const pattern of [m.watch.mode === 'regex' && m.watch.expr, ...splitLines(m.watch.ignore)].filter(Boolean)) {
+    try {
+      new RegExp(pattern);
+    } catch (e) {
+      return t('validate.regex', { pattern });
+    }
+  }
+  return '';
+}
+
+// 心跳请求按 Token 查找监控项，返回列表中第一个重复的 Token（没有重复时返回 null）
+function findDuplicatePushToken(monitors) {
+  const seen = new Set();
+  for (const m of monitors) {
+    if (m.type !== 'push') continue;
+    if (seen.has(m.push.token)) return m.push.token;
+    seen.add(m.push.token);
+  }
+  return null;
+}
+
+// 从表单构建监控项，编辑时保留原 id；批量添加时由调用方传入单行 URL
+function parseMonitorForm(formData, id, url = formData.get("url")) {
+  const headers = {};
+  (formData.get("headers") || '').split('\n').forEach(line => {
+    const idx = line.indexOf(':');
+    if (idx > 0) headers[line.slice(0, idx).trim()] = line.slice(idx + 1).trim();
+  });
+  let steps = [];
+  try {
+    steps = JSON.parse(formData.get("steps") || '[]');
+  } catch (e) {
+    // 无法解析时按空步骤处理，由 validateMonitor 给出提示
+  }
+  return normalizeMonitor({
+    id,
+    type: formData.get("type"),
+    steps,
+    name: (formData.get("name") || '').trim(),
+    group: formData.get("group") || '',
+    tags: (formData.get("tags") || '').split(','),
+    paused: formData.get("paused") === "on",
+    url: (url || '').trim(),
+    method: formData.get("method"),
+    headers,
+    body: formData.get("body"),
+    interval: formData.get("interval"),
+    jitter: formData.get("jitter"),
+    assertions: {
+      statusCodes: (formData.get("statusCodes") || '').trim(),
+      keyword: formData.get("keyword"),
+      regex: formData.get("regex"),
+      maxLatency: formData.get("maxLatency")
+    },
+    watch: {
+      mode: formData.get("watchMode"),
+      expr: (formData.get("watchExpr") || '').trim(),
+      ignore: formData.get("watchIgnore") || '',
+      notify: formData.get("watchNotify") === "on"
+    },
+    dns: { recordType: formData.get("dnsType"), expected: formData.get("dnsExpected") },
+    // 编辑时沿用原 Token，勾选重新生成后旧地址立即失效
+    push: formData.get("pushRegenerate") === "on" ? { period: formData.get("pushPeriod"), grace: formData.get("pushGrace") } : {
+      token: formData.get("pushToken"),
+      since: formData.get("pushSince"),
+      period: formData.get("pushPeriod"),
+      grace: formData.get("pushGrace")
+    }
+  });
+}
+
+// --- 推送（心跳）监控 ---
+// 外部任务定期访问 /push/<token>，可附带 status=up|down、msg（说明）与 ping（耗时 ms）；
+// 每次执行时检查最近一次心跳，超过周期 + 宽限时间未收到或上报 down 即判定为故障
+
+const HEARTBEAT_MESSAGE_LIMIT = 200;
+
+async function handlePush(env, url, token) {
+  const monitor = (await getMonitors(env)).find(m => m.type === 'push' && m.push.token === token);
+  if (!monitor) return jsonResponse({ ok: false, error: 'unknown push token' }, 404);
+  const ping = parseInt(url.searchParams.get("ping"));
+  const heartbeat = {
+    at: Date.now(),
+    ok: url.searchParams.get("status") !== 'down',
+    msg: (url.searchParams.get("msg") || '').slice(0, HEARTBEAT_MESSAGE_LIMIT),
+    ping: ping >= 0 ? ping : null
+  };
+  // 每个监控项单独一个键，避免多个任务同时上报时互相覆盖
+  await getStore(env).put(`heartbeat:${monitor.id}`, JSON.stringify(heartbeat));
+  return jsonResponse({ ok: true });
+}
+
+async function getHeartbeats(env, monitors) {
+  const heartbeats = {};
+  for (const m of monitors.filter(m => m.type === 'push')) {
+    heartbeats[m.id] = await getStore(env).get(`heartbeat:${m.id}`, 'json');
+  }
+  return heartbeats;
+}
+
+// 按最近一次心跳生成与 HTTP 检测相同格式的结果，不占用子请求预算，也不重试
+async function checkHeartbeat(env, monitor, settings) {
+  const { period, grace, since } = monitor.push;
+  const heartbeat = await getStore(env).get(`heartbeat:${monitor.id}`, 'json');
+  const result = { id: monitor.id, url: monitor.url, method: monitor.method, status: 0, attempts: 1, assertions: [] };
+  if (Date.now() > (heartbeat?.at ?? since) + (period + grace) * 60000) {
+    const last = heartbeat ? `，上次心跳 ${formatDateTime(heartbeat.at, DEFAULT_LOCALE, settings.timezone)}` : '';
+    return { ...result, ok: false, error: `超过 ${period + grace} 分钟未收到心跳${last}` };
+  }
+  if (heartbeat?.ping !== null && heartbeat?.ping !== undefined) result.time = heartbeat.ping;
+  if (heartbeat && !heartbeat.ok) return { ...result, ok: false, error: heartbeat.msg || '任务上报 status=down' };
+  return { ...result, ok: true };
+}
+
+// --- 存储层 ---
+// 所有读写都经过 getStore(env)，接口与 KV 保持一致，另提供原子更新与逐条日志：
+// 绑定 D1（DB）时使用 D1，其次回退到 KV（MY_KV），设置 STORAGE=memory 时使用内存实现便于本地测试
+
+const STORAGE_VERSION = 1;
+const STORE_UPDATE_RETRIES = 5;
+
+const storeCache = new WeakMap();
+let memoryStore;
+
+function getStore(env) {
+  if (env.STORAGE === 'memory') return memoryStore ??= createMemoryStore();
+  if (!storeCache.has(env)) storeCache.set(env, env.DB ? createD1Store(env.DB) : createKVStore(env.MY_KV));
+  return storeCache.get(env);
+}
+
+// 日志键按时间倒序排列，list 时最新的排在最前
+function logKey(log) {
+  return `log:${String(Number.MAX_SAFE_INTEGER - log.id).padStart(16, '0')}:${randomHex(4)}`;
+}
+
+function createKVStore(kv) {
+  return {
+    kind: 'kv',
+    get: (key, type) => kv.get(key, type),
+    put: (key, value, options) => kv.put(key, value, options),
+    delete: (key) => kv.delete(key),
+    async list(prefix) {
+      const keys = [];
+      let cursor;
+      do {
+        const page = await kv.list({ prefix, cursor });
+        keys.push(...page.keys);
+        cursor = page.list_complete ? null : page.cursor;
+      } while (cursor);
+      return keys;
+    },
+    // KV 不支持条件写入，这里只能尽量缩短读写间隔；需要严格一致时请绑定 D1
+    async update(key, defaultValue, fn) {
+      const current = (await kv.get(key, 'json')) ?? structuredClone(defaultValue);
+      const next = fn(current) ?? current;
+      await kv.put(key, JSON.stringify(next));
+      return next;
+    },
+    // 仅在键不存在时写入，返回是否写入成功；同样无法完全避免并发
+    async claim(key, value) {
+      if ((await kv.get(key)) !== null) return false;
+      await kv.put(key, value);
+      return true;
+    },
+    async appendLog(log, keep) {
+      await kv.put(logKey(log), JSON.stringify(log));
+      const keys = await this.list('log:');
+      await Promise.all(keys.slice(keep).map(k => kv.delete(k.name)));
+    },
+    async getLogs({ limit }) {
+      const { keys } = await kv.list({ prefix: 'log:', limit });
+      const logs = await Promise.all(keys.map(k => kv.get(k.name, 'json')));
+      return logs.filter(Boolean);
+    }
+  };
+}
+
+const D1_SCHEMA = [
+  `CREATE TABLE IF NOT EXISTS kv (key TEXT PRIMARY KEY, value TEXT NOT NULL, metadata TEXT, expires_at INTEGER, version INTEGER NOT NULL DEFAULT 1)`,
+  `CREATE TABLE IF NOT EXISTS logs (seq INTEGER PRIMARY KEY AUTOINCREMENT, id INTEGER NOT NULL, data TEXT NOT NULL)`
+];
+
+function createD1Store(db) {
+  const live = `(expires_at IS NULL OR expires_at > ?)`;
+  const getRow = (key) => db.prepare(`SELECT value, version, expires_at FROM kv WHERE key = ?`).bind(key).first();
+  const isExpired = (row) => row?.expires_at != null && row.expires_at <= Date.now();
+
+  return {
+    kind: 'd1',
+    async init() {
+      await db.batch(D1_SCHEMA.map(sql => db.prepare(sql)));
+    },
+    async get(key, type) {
+      const row = await getRow(key);
+      if (!row || isExpired(row)) return null;
+      return type === 'json' ? JSON.parse(row.value) : row.value;
+    },
+    async put(key, value, options = {}) {
+      const expiresAt = options.expirationTtl ? Date.now() + options.expirationTtl * 1000 : null;
+      const metadata = options.metadata ? JSON.stringify(options.metadata) : null;
+      await db.prepare(`INSERT INTO kv (key, value, metadata, expires_at) VALUES (?, ?, ?, ?)
+        ON CONFLICT(key) DO UPDATE SET value = excluded.value, metadata = excluded.metadata, expires_at = excluded.expires_at, version = kv.version + 1`)
+        .bind(key, value, metadata, expiresAt).run();
+    },
+    async delete(key) {
+      await db.prepare(`DELETE FROM kv WHERE key = ?`).bind(key).run();
+    },
+    async list(prefix) {
+      const { results } = await db.prepare(`SELECT key, metadata FROM kv WHERE substr(key, 1, ?) = ? AND ${live} ORDER BY key`)
+        .bind(prefix.length, prefix, Date.now()).all();
+      return results.map(r => ({ name: r.key, metadata: r.metadata ? JSON.parse(r.metadata) : undefined }));
+    },
+    // 乐观并发：按版本号条件写入，期间被其他请求修改过则重新读取并重试
+    async update(key, defaultValue, fn) {
+      for (let i = 0; i < STORE_UPDATE_RETRIES; i++) {
+        const row = await getRow(key);
+        const current = row && !isExpired(row) ? JSON.parse(row.value) : structuredClone(defaultValue);
+        const next = fn(current) ?? current;
+        const value = JSON.stringify(next);
+        const { meta } = row
+          ? await db.prepare(`UPDATE kv SET value = ?, metadata = NULL, expires_at = NULL, version = version + 1 WHERE key = ? AND version = ?`).bind(value, key, row.version).run()
+          : await db.prepare(`INSERT INTO kv (key, value) VALUES (?, ?) ON CONFLICT(key) DO NOTHING`).bind(key, value).run();
+        if (meta.changes > 0) return next;
+      }
+      throw new Error(`写入冲突: ${key}`);
+    },
+    async claim(key, value) {
+      const { meta } = await db.prepare(`INSERT INTO kv (key, value) VALUES (?, ?) ON CONFLICT(key) DO NOTHING`).bind(key, value).run();
+      return meta.changes > 0;
+    },
+    async appendLog(log, keep) {
+      await db.batch([
+        db.prepare(`INSERT INTO logs (id, data) VALUES (?, ?)`).bind(log.id, JSON.stringify(log)),
+        db.prepare(`DELETE FROM logs WHERE seq <= (SELECT seq FROM logs ORDER BY seq DESC LIMIT 1 OFFSET ?)`).bind(keep)
+      ]);
+    },
+    async getLogs({ limit }) {
+      const { results } = await db.prepare(`SELECT data FROM logs ORDER BY seq DESC LIMIT ?`).bind(limit).all();
+      return results.map(r => JSON.parse(r.data));
+    }
+  };
+}
+
+// 内存实现：单个 isolate 内没有并发写入的问题，update 中不存在 await 即为原子操作
+function createMemoryStore() {
+  const data = new Map();
+  let logs = [];
+  const read = (key) => {
+    const entry = data.get(key);
+    if (entry?.expiresAt && entry.expiresAt <= Date.now()) {
+      data.delete(key);
+      return undefined;
+    }
+    return entry;
+  };
+
+  return {
+    kind: 'memory',
+    async get(key, type) {
+      const entry = read(key);
+      if (!entry) return null;
+      return type === 'json' ? JSON.parse(entry.value) : entry.value;
+    },
+    async put(key, value, options = {}) {
+      data.set(key, {
+        value,
+        metadata: options.metadata,
+        expiresAt: options.expirationTtl ? Date.now() + options.expirationTtl * 1000 : null
+      });
+    },
+    async delete(key) {
+      data.delete(key);
+    },
+    async list(prefix) {
+      return [...data.keys()].filter(k => k.startsWith(prefix) && read(k)).sort()
+        .map(name => ({ name, metadata: data.get(name).metadata }));
+    },
+    async update(key, defaultValue, fn) {
+      const entry = read(key);
+      const current = entry ? JSON.parse(entry.value) : structuredClone(defaultValue);
+      const next = fn(current) ?? current;
+      data.set(key, { value: JSON.stringify(next), metadata: undefined, expiresAt: null });
+      return next;
+    },
+    async claim(key, value) {
+      if (read(key)) return false;
+      data.set(key, { value, metadata: undefined, expiresAt: null });
+      return true;
+    },
+    async appendLog(log, keep) {
+      logs = [structuredClone(log), ...logs].slice(0, keep);
+    },
+    async getLogs({ limit }) {
+      return structuredClone(logs.slice(0, limit));
+    }
+  };
+}
+
+// 每个 isolate 只执行一次建表与数据迁移，失败时下次请求重试
+const storageReady = new WeakMap();
+
+function ensureStorage(env) {
+  const store = getStore(env);
+  if (!storageReady.has(store)) {
+    storageReady.set(store, migrateStorage(env, store).catch(e => {
+      storageReady.delete(store);
+      throw e;
+    }));
+  }
+  return storageReady.get(store);
+}
+
+// 首次启动时迁移旧数据：从 KV 复制到 D1，并把旧的整块日志数组拆成逐条记录
+async function migrateStorage(env, store) {
+  await store.init?.();
+  if ((await store.get("storageVersion", 'json')) >= STORAGE_VERSION) return;
+  // 先写入版本号占位，多个 isolate 同时启动时只有一个执行迁移；失败时撤销以便下次重试
+  if (!(await store.claim("storageVersion", JSON.stringify(STORAGE_VERSION)))) return;
+  try {
+    await copyLegacyData(env, store);
+  } catch (e) {
+    await store.delete("storageVersion");
+    throw e;
+  }
+}
+
+async function copyLegacyData(env, store) {
+  if (store.kind === 'd1' && env.MY_KV) {
+    const source = createKVStore(env.MY_KV);
+    // 会话与登录失败计数带有过期时间，无需迁移，用户重新登录即可
+    for (const { name } of await source.list('')) {
+      if (/^(session|login-fail|log):/.test(name)) continue;
+      const value = await source.get(name);
+      if (value !== null) await store.put(name, value);
+    }
+    const { logRetention } = await getSettings(env);
+    await appendMissingLogs(store, await source.getLogs({ limit: logRetention }), logRetention);
+  }
+
+  // 旧版本把日志存为一个数组（最新在前）；全部写入后再删除，中途失败时下次重试会跳过已写入的记录
+  const { logRetention } = await getSettings(env);
+  const legacyLogs = (await store.get("logs", 'json')) || [];
+  if (legacyLogs.length === 0) return;
+  await appendMissingLogs(store, legacyLogs, logRetention);
+  await store.delete("logs");
+}
+
+// 按时间顺序逐条写入日志（logs 最新在前），跳过 id 已存在的记录
+async function appendMissingLogs(store, logs, keep) {
+  const existing = new Set((await store.getLogs({ limit: keep })).map(log => log.id));
+  for (const log of [...logs].reverse()) {
+    if (!existing.has(log.id)) await store.appendLog(log, keep);
+  }
+}
+
+// --- 数据处理工具函数 ---
+
+async function getJSON(env, key, defaultValue) {
+  try { return (await getStore(env).get(key, 'json')) ?? defaultValue; } catch (e) { return defaultValue; }
+}
+
+function updateJSON(env, key, defaultValue, fn) {
+  return getStore(env).update(key, defaultValue, fn);
+}
+
+const DEFAULT_SETTINGS = {
+  retryCount: 0,
+  retryDelay: 1,
+  // 执行引擎：并发数、单请求超时、退避策略与单次执行预算（免费版每次调用最多 50 个子请求）
+  run: { concurrency: 6, timeoutSeconds: 10, backoff: 'fixed', maxBackoffSeconds: 30, subrequestBudget: 40, timeBudgetSeconds: 25 },
+  stats: { hourlyRetention: 48, dailyRetention: 30 },
+  // 执行日志保留的条数（每次执行一条）
+  logRetention: 14,
+  // 界面与通知中的时间按此时区显示
+  timezone: 'Asia/Shanghai',
+  // DNS 检测使用的 DNS-over-HTTPS 服务（JSON 格式）
+  dnsResolver: 'https://cloudflare-dns.com/dns-query',
+  statusPage: { enabled: false, slug: 'status', title: '服务状态', monitors: [] },
+  pausedGroups: [],
+  notify: {
+    alertAfter: 1,
+    renotifyMinutes: 0,
+    webhook: { url: '', template: '' },
+    telegram: { botToken: '', chatId: '' },
+    push: { urls: '' },
+    email: { apiUrl: 'https://api.resend.com/emails', apiKey: '', from: '', to: '' }
+  }
+};
+
+// 校验设置，返回错误信息（合法时返回空字符串）
+function validateSettings(settings) {
+  const shapeError = checkSettingsShape(DEFAULT_SETTINGS, settings, '');
+  if (shapeError) return shapeError;
+  if (!Number.isInteger(settings.retryCount) || settings.retryCount < 0) return 'retryCount 必须是非负整数';
+  if (!Number.isInteger(settings.retryDelay) || settings.retryDelay < 1) return 'retryDelay 必须是正整数';
+  if (!Number.isInteger(settings.logRetention) || settings.logRetention < 1 || settings.logRetention > MAX_LOG_RETENTION) return `logRetention 必须是 1 到 ${MAX_LOG_RETENTION} 之间的整数`;
+  if (!isHttpsUrl(settings.dnsResolver)) return 'dnsResolver 必须是 https:// 开头的 URL';
+  if (!isValidTimeZone(settings.timezone)) return 'timezone 必须是有效的 IANA 时区名，如 Asia/Shanghai';
+  const run = settings.run || {};
+  for (const key of ['concurrency', 'timeoutSeconds', 'maxBackoffSeconds', 'subrequestBudget', 'timeBudgetSeconds']) {
+    if (!Number.isInteger(run[key]) || run[key] < 1) return `run.${key} 必须是正整数`;
+  }
+  if (!['fixed', 'exponential'].includes(run.backoff)) return 'run.backoff 只能是 fixed 或 exponential';
+  if (!Number.isInteger(settings.stats.hourlyRetention) || settings.stats.hourlyRetention < 24) return 'stats.hourlyRetention 必须是不小于 24 的整数';
+  if (!Number.isInteger(settings.stats.dailyRetention) || settings.stats.dailyRetention < 1) return 'stats.dailyRetention 必须是正整数';
+  if (!Number.isInteger(settings.notify.alertAfter) || settings.notify.alertAfter < 1) return 'notify.alertAfter 必须是正整数';
+  if (!Number.isInteger(settings.notify.renotifyMinutes) || settings.notify.renotifyMinutes < 0) return 'notify.renotifyMinutes 必须是非负整数';
+  if (!isValidSlug(settings.statusPage.slug)) return `statusPage.slug 只能包含小写字母、数字与 -，且不能占用已有路径: ${settings.statusPage.slug}`;
+  return '';
+}
+
+// 逐项对照默认设置检查类型：对象、数组、字符串、数字与布尔值必须与默认值一致
+function checkSettingsShape(defaults, value, path) {
+  for (const [key, def] of Object.entries(defaults)) {
+    const name = path ? `${path}.${key}` : key;
+    const v = value?.[key];
+    if (Array.isArray(def)) {
+      if (!Array.isArray(v)) return `${name} 必须是数组`;
+    } else if (def && typeof def === 'object') {
+      if (!v || typeof v !== 'object' || Array.isArray(v)) return `${name} 必须是对象`;
+      const error = checkSettingsShape(def, v, name);
+      if (error) return error;
+    } else if (typeof v !== typeof def) {
+      return `${name} 必须是${{ string: '字符串', number: '数字', boolean: '布尔值' }[typeof def]}`;
+    }
+  }
+  return '';
+}
+
+function isHttpsUrl(value) {
+  try {
+    return new URL(value).protocol === 'https:';
+  } catch (e) {
+    return false;
+  }
+}
+
+// 只保留已知的顶层设置项，丢弃 API 或导入文件中的其他字段
+function pickKnownSettings(settings) {
+  return Object.fromEntries(Object.keys(DEFAULT_SETTINGS).filter(key => key in settings).map(key => [key, settings[key]]));
+}
+
+// 原子地修改设置，fn 的用法同 updateMonitors
+function updateSettings(env, fn) {
+  return updateJSON(env, "settings", {}, raw => {
+    const settings = mergeDefaults(DEFAULT_SETTINGS, raw);
+    return fn(settings) ?? settings;
+  });
+}
+
+// 读取设置并补齐新增字段的默认值
+async function getSettings(env) {
+  return mergeDefaults(DEFAULT_SETTINGS, await getJSON(env, "settings", {}));
+}
+
+// 数组与类型不符的值原样保留，由 validateSettings 拒绝
+function mergeDefaults(defaults, saved) {
+  if (!saved || typeof saved !== 'object' || Array.isArray(saved) || Array.isArray(defaults)) return saved ?? defaults;
+  const merged = { ...saved };
+  for (const [k, v] of Object.entries(defaults)) {
+    merged[k] = v && typeof v === 'object' && !Array.isArray(v) ? mergeDefaults(v, saved[k]) : (saved[k] ?? v);
+  }
+  return merged;
+}
+
+function splitLines(text) {
+  return String(text || '').split('\n').map(s => s.trim()).filter(Boolean);
+}
+
+function escapeHTML(str) {
+  return String(str ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+
+async function hashText(text) {
+  const msgUint8 = new TextEncoder().encode(text);
+  const hashBuffer = await crypto.subtle.digest('SHA-256', msgUint8);
+  return toHex(hashBuffer);
+}
+
+function toHex(buffer) {
+  return Array.from(new Uint8Array(buffer)).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+function randomHex(bytes) {
+  return toHex(crypto.getRandomValues(new Uint8Array(bytes)));
+}
+
+// 逐字符比较，避免通过响应时间推测内容
+function timingSafeEqual(a, b) {
+  if (typeof a !== 'string' || typeof b !== 'string' || a.length !== b.length) return false;
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  return diff === 0;
+}
+
+// --- 认证与会话 ---
+
+const SESSION_TTL = 86400; // 会话有效期 (秒)
+const PBKDF2_ITERATIONS = 100000; // Workers 运行时允许的最大迭代次数
+const LOGIN_MAX_FAILURES = 5;
+const LOGIN_LOCK_SECONDS = 900;
+
+const VIEWER_POST_ROUTES = ['/logout', '/logout-all', '/change-password', '/save-preferences', '/execute', '/ack-incident', '/incident-note'];
+const ADMIN_GET_ROUTES = ['/users', '/export', '/import'];
+const USERNAME_PATTERN = /^[A-Za-z0-9_.-]{2,32}$/;
+
+// 读取用户列表；旧版单密码安装会迁移为名为 admin 的管理员
+async function getUsers(env) {
+  const users = await getJSON(env, "users", []);
+  if (users.length > 0) return users;
+
+  const raw = await getStore(env).get("password");
+  if (!raw) return users;
+  let password;
+  // 旧版直接保存的 SHA-256 字符串标记为 legacy，登录成功后再升级
+  if (!raw.startsWith('{')) password = { legacy: raw };
+  else try { password = JSON.parse(raw); } catch (e) { return users; }
+
+  const migrated = await updateJSON(env, "users", [], users => users.length > 0 ? users : [{ username: 'admin', role: 'admin', password, createdAt: Date.now() }]);
+  await getStore(env).delete("password");
+  return migrated;
+}
+
+async function hashPassword(password, salt = randomHex(16), iterations = PBKDF2_ITERATIONS) {
+  const key = await crypto.subtle.importKey('raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveBits']);
+  const bits = await crypto.subtle.deriveBits({ name: 'PBKDF2', hash: 'SHA-256', salt: new TextEncoder().encode(salt), iterations }, key, 256);
+  return { algo: 'pbkdf2-sha256', iterations, salt, hash: toHex(bits) };
+}
+
+async function verifyPassword(password, record) {
+  if (record.legacy) return timingSafeEqual(await hashText(password), record.legacy);
+  const { hash } = await hashPassword(password, record.salt, record.iterations);
+  return timingSafeEqual(hash, record.hash);
+}
+
+function getClientIP(request) {
+  return request.headers.get("CF-Connecting-IP") || 'unknown';
+}
+
+// 创建会话：KV 保存用户名与 CSRF Token，元数据用于在账户页列出会话
+async function createSession(env, request, username) {
+  const id = randomHex(32);
+  const createdAt = Date.now();
+  await getStore(env).put(`session:${id}`, JSON.stringify({ username, csrf: randomHex(16), createdAt }), {
+    expirationTtl: SESSION_TTL,
+    metadata: { username, createdAt, ip: getClientIP(request), ua: (request.headers.get("User-Agent") || '').slice(0, 120) }
+  });
+  return id;
+}
+
+// 用户被删除后其会话随即失效；界面语言与时区随会话一并解析，供各页面渲染
+async function getSession(request, env, users) {
+  const id = request.headers.get("Cookie")?.match(/(?:^|;\s*)sid=([0-9a-f]{64})(?:;|$)/)?.[1];
+  if (!id) return null;
+  const session = await getJSON(env, `session:${id}`, null);
+  const user = session && users.find(u => u.username === session.username);
+  if (!user) return null;
+  const { timezone } = await getSettings(env);
+  return { id, ...session, user, locale: resolveLocale(request, user), timeZone: timezone };
+}
+
+// 注销指定用户的所有会话，可保留当前会话
+async function revokeSessions(env, username, exceptId) {
+  const store = getStore(env);
+  const keys = await store.list('session:');
+  await Promise.all(keys
+    .filter(k => k.metadata?.username === username && k.name !== `session:${exceptId}`)
+    .map(k => store.delete(k.name)));
+}
+
+// 克隆请求读取表单，原请求体留给后续处理函数
+async function verifyCsrf(request, session) {
+  try {
+    const formData = await request.clone().formData();
+    return timingSafeEqual(formData.get("_csrf") || '', session.csrf);
+  } catch (e) {
+    return false;
+  }
+}
+
+// --- 请求处理函数 ---
+
+async function handleSetup(request, env) {
+  const locale = resolveLocale(request);
+  const formData = await request.formData();
+  const username = (formData.get("username") || '').trim();
+  const password = formData.get("password");
+  if (!USERNAME_PATTERN.test(username)) return new Response(renderHTML({ type: 'setup', locale, error: translate(locale, 'auth.invalidUsername') }), { headers: { 'Content-Type': 'text/html;charset=UTF-8' } });
+  if (!password || password.length < 4) return new Response(renderHTML({ type: 'setup', locale, error: translate(locale, 'auth.passwordTooShort') }), { headers: { 'Content-Type': 'text/html;charset=UTF-8' } });
+  const admin = { username, role: 'admin', password: await hashPassword(password), createdAt: Date.now() };
+  // 并发初始化时只有先写入的一方生效
+  let created = false;
+  await updateJSON(env, "users", [], users => {
+    created = users.length === 0;
+    return created ? [admin] : users;
+  });
+  if (!created) return new Response(null, { status: 302, headers: { 'Location': '/' } });
+  return redirectWithSession('/', await createSession(env, request, username));
+}
+
+async function handleLogin(request, env, users) {
+  const locale = resolveLocale(request);
+  // 按 IP 统计失败次数，超过上限后锁定一段时间
+  const failKey = `login-fail:${getClientIP(request)}`;
+  const failures = await getJSON(env, failKey, { count: 0 });
+  if (failures.count >= LOGIN_MAX_FAILURES) {
+    return new Response(renderHTML({ type: 'login', locale, error: translate(locale, 'login.locked', { minutes: LOGIN_LOCK_SECONDS / 60 }) }), { status: 429, headers: { 'Content-Type': 'text/html;charset=UTF-8' } });
+  }
+
+  const formData = await request.formData();
+  const username = (formData.get("username") || '').trim();
+  const password = formData.get("password") || '';
+  const user = users.find(u => u.username === username);
+  // 用户不存在时同样计算一次哈希，避免通过响应时间判断用户名是否存在
+  const valid = user ? await verifyPassword(password, user.password) : (await hashPassword(password), false);
+  if (valid) {
+    await getStore(env).delete(failKey);
+    // 旧版未加盐的哈希在登录成功后升级为 PBKDF2
+    if (user.password.legacy) {
+      const upgraded = await hashPassword(password);
+      await updateJSON(env, "users", [], list => {
+        const u = list.find(x => x.username === username);
+        if (u) u.password = upgraded;
+      });
+    }
+    return redirectWithSession('/', await createSession(env, request, username));
+  }
+
+  failures.count++;
+  await getStore(env).put(failKey, JSON.stringify(failures), { expirationTtl: LOGIN_LOCK_SECONDS });
+  return new Response(renderHTML({ type: 'login', locale, error: translate(locale, 'login.failed', { left: Math.max(0, LOGIN_MAX_FAILURES - failures.count) }) }), { status: 401, headers: { 'Content-Type': 'text/html;charset=UTF-8' } });
+}
+
+async function handleChangePassword(request, env, session, users) {
+  const formData = await request.formData();
+  const current = formData.get("current") || '';
+  const next = formData.get("password") || '';
+  const user = users.find(u => u.username === session.user.username);
+  let error = '';
+  if (!await verifyPassword(current, user.password)) error = translate(session.locale, 'account.wrongPassword');
+  else if (next.length < 4) error = translate(session.locale, 'account.newPasswordTooShort');
+  else if (next !== formData.get("confirm")) error = translate(session.locale, 'account.passwordMismatch');
+  if (error) return renderAccountPage(env, session, { error });
+
+  const password = await hashPassword(next);
+  await updateJSON(env, "users", [], list => {
+    const u = list.find(x => x.username === user.username);
+    if (u) u.password = password;
+  });
+  // 修改密码后注销其他设备上的会话
+  await revokeSessions(env, user.username, session.id);
+  return new Response(null, { status: 302, headers: { 'Location': '/account?notice=' + encodeURIComponent(translate(session.locale, 'account.passwordChanged')) } });
+}
+
+// 保存个人偏好：界面语言，留空表示跟随浏览器
+async function handleSavePreferences(request, env, session) {
+  const formData = await request.formData();
+  const locale = SUPPORTED_LOCALES.includes(formData.get("locale")) ? formData.get("locale") : '';
+  await updateJSON(env, "users", [], list => {
+    const u = list.find(x => x.username === session.user.username);
+    if (u) u.locale = locale;
+  });
+  const notice = translate(locale || resolveLocale(request), 'account.preferencesSaved');
+  return new Response(null, { status: 302, headers: { 'Location': '/account?notice=' + encodeURIComponent(notice) } });
+}
+
+async function handleSaveSettings(request, env, session) {
+  const formData = await request.formData();
+  const positive = (name) => Math.max(1, parseInt(formData.get(name)) || DEFAULT_SETTINGS.run[name]);
+  const timezone = (formData.get("timezone") || '').trim() || DEFAULT_SETTINGS.timezone;
+  if (!isValidTimeZone(timezone)) {
+    return new Response(null, { status: 302, headers: { 'Location': '/?notice=' + encodeURIComponent(translate(session.locale, 'settings.invalidTimezone', { timezone })) } });
+  }
+  const dnsResolver = (formData.get("dnsResolver") || '').trim() || DEFAULT_SETTINGS.dnsResolver;
+  if (!isHttpsUrl(dnsResolver)) {
+    return new Response(null, { status: 302, headers: { 'Location': '/?notice=' + encodeURIComponent(translate(session.locale, 'settings.invalidResolver', { url: dnsResolver })) } });
+  }
+  await updateSettings(env, settings => {
+    settings.retryCount = parseInt(formData.get("retryCount"));
+    settings.retryDelay = parseInt(formData.get("retryDelay"));
+    settings.timezone = timezone;
+    settings.dnsResolver = dnsResolver;
+    settings.stats = {
+      hourlyRetention: Math.max(24, parseInt(formData.get("hourlyRetention")) || 48),
+      dailyRetention: Math.max(1, parseInt(formData.get("dailyRetention")) || 30)
+    };
+    settings.logRetention = Math.min(MAX_LOG_RETENTION, Math.max(1, parseInt(formData.get("logRetention")) || DEFAULT_SETTINGS.logRetention));
+    settings.run = {
+      concurrency: positive("concurrency"),
+      timeoutSeconds: positive("timeoutSeconds"),
+      backoff: formData.get("backoff") === 'exponential' ? 'exponential' : 'fixed',
+      maxBackoffSeconds: positive("maxBackoffSeconds"),
+      subrequestBudget: positive("subrequestBudget"),
+      timeBudgetSeconds: positive("timeBudgetSeconds")
+    };
+  });
+  return new Response(null, { status: 302, headers: { 'Location': '/' } });
+}
+
+async function handleSaveNotify(request, env) {
+  const formData = await request.formData();
+  const field = (name) => (formData.get(name) || '').trim();
+  await updateSettings(env, settings => {
+    settings.notify = {
+      alertAfter: Math.max(1, parseInt(field("alertAfter")) || 1),
+      renotifyMinutes: Math.max(0, parseInt(field("renotifyMinutes")) || 0),
+      webhook: { url: field("webhookUrl"), template: field("webhookTemplate") },
+      telegram: { botToken: field("telegramToken"), chatId: field("telegramChatId") },
+      push: { urls: field("pushUrls") },
+      email: { apiUrl: field("emailApiUrl"), apiKey: field("emailApiKey"), from: field("emailFrom"), to: field("emailTo") }
+    };
+  });
+  return new Response(null, { status: 302, headers: { 'Location': '/' } });
+}
+
+// 状态页路径不能占用控制台已有的路由
+const RESERVED_SLUGS = ['api', 'metrics', 'push', 'content', 'logs', 'incidents', 'ack-incident', 'incident-note', 'bulk', 'toggle-group', 'setup', 'login', 'logout', 'logout-all', 'account', 'change-password', 'save-preferences', 'users', 'save-user', 'delete-user', 'export', 'import', 'execute', 'add-url', 'delete-url', 'save-settings', 'save-notify', 'test-notify', 'create-token', 'revoke-token', 'save-status-page', 'save-maintenance', 'end-maintenance', 'delete-maintenance'];
+
+function isValidSlug(slug) {
+  return /^[a-z0-9][a-z0-9-]*$/.test(slug) && !RESERVED_SLUGS.includes(slug);
+}
+
+async function handleSaveStatusPage(request, env, session) {
+  const formData = await request.formData();
+  const slug = (formData.get("slug") || '').trim().toLowerCase();
+  if (!isValidSlug(slug)) {
+    return new Response(null, { status: 302, headers: { 'Location': '/?notice=' + encodeURIComponent(translate(session.locale, 'statusPage.invalidSlug', { slug })) } });
+  }
+  await updateSettings(env, settings => {
+    settings.statusPage = {
+      enabled: formData.get("enabled") === "on",
+      slug,
+      title: (formData.get("title") || '').trim() || DEFAULT_SETTINGS.statusPage.title,
+      monitors: formData.getAll("monitors")
+    };
+  });
+  return new Response(null, { status: 302, headers: { 'Location': '/' } });
+}
+
+// 新增维护窗口，同时清理已过期的一次性窗口；时间按当前设置的时区解析并随窗口保存
+async function handleSaveMaintenance(request, env, session) {
+  const formData = await request.formData();
+  const { locale, timeZone } = session;
+  const recurring = formData.get("recurring") === "weekly";
+  const w = normalizeMaintenance({
+    name: (formData.get("name") || '').trim(),
+    monitors: formData.get("scope") === "selected" ? formData.getAll("monitors") : [],
+    mode: formData.get("mode"),
+    recurring,
+    start: recurring ? 0 : parseZonedDateTime(formData.get("start"), timeZone),
+    end: recurring ? 0 : parseZonedDateTime(formData.get("end"), timeZone),
+    days: formData.getAll("days"),
+    startTime: formData.get("startTime"),
+    endTime: formData.get("endTime"),
+    timeZone
+  });
+  const error = validateMaintenance(w, locale) || (formData.get("scope") === "selected" && w.monitors.length === 0 ? translate(locale, 'maint.error.noMonitors') : null);
+  if (error) {
+    return new Response(null, { status: 302, headers: { 'Location': '/?notice=' + encodeURIComponent(translate(locale, 'maint.notSaved', { error })) } });
+  }
+  await updateMaintenanceWindows(env, windows => [...windows.filter(x => getMaintenanceWindow(x)), w]);
+  return new Response(null, { status: 302, headers: { 'Location': '/?notice=' + encodeURIComponent(translate(locale, 'maint.added')) } });
+}
+
+// 提前结束：一次性窗口直接截止到当前时间，重复窗口只跳过本次时段
+async function handleEndMaintenance(request, env) {
+  const formData = await request.formData();
+  const id = formData.get("id");
+  const now = Date.now();
+  await updateMaintenanceWindows(env, windows => {
+    for (const w of windows) {
+      const slot = w.id === id && getMaintenanceWindow(w, now);
+      if (!slot?.active) continue;
+      if (w.recurring) w.skipUntil = slot.end;
+      else w.end = now;
+    }
+  });
+  return new Response(null, { status: 302, headers: { 'Location': '/' } });
+}
+
+async function handleDeleteMaintenance(request, env) {
+  const formData = await request.formData();
+  await updateMaintenanceWindows(env, windows => windows.filter(w => w.id !== formData.get("id")));
+  return new Response(null, { status: 302, headers: { 'Location': '/' } });
+}
+
+// 向指定渠道发送测试消息，结果通过 notice 参数回显
+async function handleTestNotify(request, env, session) {
+  const formData = await request.formData();
+  const channel = formData.get("channel");
+  const { notify, timezone } = await getSettings(env);
+  const only = { ...notify };
+  // 仅保留被测试的渠道
+  for (const c of getEnabledChannels(notify)) {
+    if (c !== channel) only[c] = DEFAULT_SETTINGS.notify[c];
+  }
+  const results = await sendNotification(only, {
+    event: 'TEST',
+    result: { url: 'https://example.com', status: 200 },
+    timestamp: formatDateTime(Date.now(), DEFAULT_LOCALE, timezone)
+  });
+  const t = (key, vars) => translate(session.locale, key, vars);
+  const notice = results.length === 0
+    ? t('notify.notConfigured', { channel })
+    : results.map(r => r.ok ? t('notify.sent', { channel: r.channel }) : t('notify.failed', { channel: r.channel, error: r.error })).join(t('notify.separator'));
+  return new Response(null, { status: 302, headers: { 'Location': '/?notice=' + encodeURIComponent(notice) } });
+}
+
+async function handleLogout(env, session) {
+  await getStore(env).delete(`session:${session.id}`);
+  return new Response(null, { status: 302, headers: { 'Location': '/', 'Set-Cookie': `sid=deleted; Path=/; HttpOnly; Secure; SameSite=Lax; Max-Age=0` } });
+}
+
+async function handleLogoutAll(env, session) {
+  await revokeSessions(env, session.user.username);
+  return new Response(null, { status: 302, headers: { 'Location': '/', 'Set-Cookie': `sid=deleted; Path=/; HttpOnly; Secure; SameSite=Lax; Max-Age=0` } });
+}
+
+function redirectWithSession(loc, sessionId) {
+  return new Response(null, { status: 302, headers: { 'Location': loc, 'Set-Cookie': `sid=${sessionId}; Path=/; HttpOnly; Secure; SameSite=Lax; Max-Age=${SESSION_TTL}` } });
+}
+
+async function renderAccountPage(env, session, { notice = '', error = '' } = {}) {
+  const keys = await getStore(env).list('session:');
+  const sessions = keys
+    .filter(k => k.metadata?.username === session.user.username)
+    .map(k => ({ id: k.name.slice('session:'.length), ...k.metadata }))
+    .sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0));
+  return new Response(renderHTML({
+    type: 'account',
+    csrf: session.csrf,
+    locale: session.locale,
+    timeZone: session.timeZone,
+    error,
+    data: { sessions, currentId: session.id, user: session.user, notice }
+  }), { status: error ? 400 : 200, headers: { 'Content-Type': 'text/html;charset=UTF-8' } });
+}
+
+// --- 用户管理 (仅管理员) ---
+
+function renderUsersPage(session, users, { notice = '', error = '' } = {}) {
+  return new Response(renderHTML({
+    type: 'users',
+    csrf: session.csrf,
+    locale: session.locale,
+    error,
+    data: { users, user: session.user, notice }
+  }), { status: error ? 400 : 200, headers: { 'Content-Type': 'text/html;charset=UTF-8' } });
+}
+
+// 新建用户，或修改已有用户的角色 / 重置密码（密码留空则不修改）
+async function handleSaveUser(request, env, session, users) {
+  const formData = await request.formData();
+  const username = (formData.get("username") || '').trim();
+  const role = formData.get("role") === 'admin' ? 'admin' : 'viewer';
+  const password = formData.get("password") || '';
+  const existing = users.find(u => u.username === username);
+
+  let error = '';
+  if (!USERNAME_PATTERN.test(username)) error = translate(session.locale, 'auth.invalidUsername');
+  else if (!existing && password.length < 4) error = translate(session.locale, 'auth.passwordTooShort');
+  else if (existing && password && password.length < 4) error = translate(session.locale, 'auth.passwordTooShort');
+  else if (existing?.role === 'admin' && role !== 'admin' && users.filter(u => u.role === 'admin').length === 1) error = translate(session.locale, 'users.keepOneAdmin');
+  if (error) return renderUsersPage(session, users, { error });
+
+  const hashed = password ? await hashPassword(password) : null;
+  await updateJSON(env, "users", [], list => {
+    const u = list.find(x => x.username === username);
+    if (!u) return [...list, { username, role, password: hashed, createdAt: Date.now() }];
+    u.role = role;
+    if (hashed) u.password = hashed;
+  });
+  if (existing && hashed) await revokeSessions(env, username, session.id);
+  return new Response(null, { status: 302, headers: { 'Location': '/users?notice=' + encodeURIComponent(translate(session.locale, 'users.saved', { username })) } });
+}
+
+async function handleDeleteUser(request, env, session, users) {
+  const formData = await request.formData();
+  const username = formData.get("username");
+  if (username === session.user.username) return renderUsersPage(session, users, { error: translate(session.locale, 'users.cannotDeleteSelf') });
+  await updateJSON(env, "users", [], list => list.filter(u => u.username !== username));
+  await revokeSessions(env, username);
+  return new Response(null, { status: 302, headers: { 'Location': '/users' } });
+}
+
+// 新增或编辑监控项（带 id 时为编辑）
+async function handleAddUrl(request, env, session) {
+  const formData = await request.formData();
+  const id = formData.get("id");
+
+  if (id) {
+    const monitor = parseMonitorForm(formData, id);
+    const error = validateMonitor(monitor, session.locale);
+    if (error) {
+      return new Response(null, { status: 302, headers: { 'Location': '/?notice=' + encodeURIComponent(translate(session.locale, 'urls.saveFailed', { error })) } });
+    }
+    let previous;
+    let conflict;
+    await updateMonitors(env, urls => {
+      const next = urls.map(m => m.id === id ? (previous = m, monitor) : m);
+      conflict = findDuplicatePushToken(next);
+      return conflict ? urls : next;
+    });
+    if (conflict) {
+      return new Response(null, { status: 302, headers: { 'Location': '/?notice=' + encodeURIComponent(translate(session.locale, 'urls.saveFailed', { error: translate(session.locale, 'validate.pushTokenTaken') })) } });
+    }
+    await rescheduleMonitor(env, previous, monitor);
+    return new Response(null, { status: 302, headers: { 'Location': '/' } });
+  }
+
+  // 新增时支持粘贴多行 URL 批量添加，高级选项对每一行生效
+  let added;
+  let skipped;
+  // 推送监控没有 URL，每次只添加一个
+  const lines = formData.get("type") === 'push' ? [''] : splitLines(formData.get("url"));
+  if (lines.length === 0) {
+    return new Response(null, { status: 302, headers: { 'Location': '/?notice=' + encodeURIComponent(translate(session.locale, 'urls.saveFailed', { error: translate(session.locale, 'validate.urlRequired') })) } });
+  }
+  await updateMonitors(env, urls => {
+    added = 0;
+    skipped = [];
+    for (const line of lines) {
+      const monitor = parseMonitorForm(formData, undefined, line);
+      if (validateMonitor(monitor) || findDuplicatePushToken([...urls, monitor]) || (monitor.type !== 'push' && urls.some(m => m.url === monitor.url && m.method === monitor.method && m.body === monitor.body && m.dns?.recordType === monitor.dns?.recordType))) {
+        skipped.push(line);
+        continue;
+      }
+      urls.push(monitor);
+      added++;
+    }
+  });
+  const location = skipped.length > 0
+    ? '/?notice=' + encodeURIComponent(translate(session.locale, 'urls.addedSkipped', { added, skipped: skipped.length, urls: skipped.join(', ') }))
+    : '/';
+  return new Response(null, { status: 302, headers: { 'Location': location } });
+}
+
+async function handleDeleteUrl(request, env) {
+  const formData = await request.formData();
+  await removeMonitor(env, formData.get("id"));
+  return new Response(null, { status: 302, headers: { 'Location': '/' } });
+}
+
+// 对勾选的监控项执行批量操作：暂停、恢复、删除、立即执行
+async function handleBulkAction(request, env, session) {
+  const t = (key, vars) => translate(session.locale, key, vars);
+  const formData = await request.formData();
+  const ids = formData.getAll("ids");
+  const action = formData.get("action");
+  const back = formData.get("back") || '/';
+  let notice;
+
+  if (ids.length === 0) {
+    notice = t('bulk.noneSelected');
+  } else if (action === 'pause' || action === 'resume') {
+    await updateMonitors(env, urls => {
+      urls.forEach(m => { if (ids.includes(m.id)) m.paused = action === 'pause'; });
+    });
+    notice = t(action === 'pause' ? 'bulk.paused' : 'bulk.resumed', { count: ids.length });
+  } else if (action === 'delete') {
+    await updateMonitors(env, urls => urls.filter(m => !ids.includes(m.id)));
+    await cleanupMonitorData(env, ids);
+    notice = t('bulk.deleted', { count: ids.length });
+  } else if (action === 'run') {
+    const log = await executeTasksAndSaveLogs(env, "MANUAL", ids);
+    notice = log ? t('bulk.ran', { count: log.results.length }) : t('bulk.allPaused');
+  } else {
+    notice = t('bulk.unknown', { action });
+  }
+  // 只允许跳回站内的控制台地址，保留筛选条件
+  const location = (back.startsWith('/?') ? back + '&' : '/?') + 'notice=' + encodeURIComponent(notice);
+  return new Response(null, { status: 302, headers: { 'Location': location } });
+}
+
+async function handleToggleGroup(request, env) {
+  const formData = await request.formData();
+  const group = formData.get("group") || '';
+  await updateSettings(env, settings => {
+    const paused = new Set(settings.pausedGroups);
+    formData.get("paused") === "1" ? paused.add(group) : paused.delete(group);
+    settings.pausedGroups = [...paused].filter(Boolean);
+  });
+  return new Response(null, { status: 302, headers: { 'Location': '/' } });
+}
+
+// 创建 API Token，明文只在本次响应中展示一次
+async function handleCreateToken(request, env, session) {
+  const formData = await request.formData();
+  const name = (formData.get("name") || '').trim() || 'token';
+  const token = 'ka_' + randomHex(24);
+  const record = { id: crypto.randomUUID(), name, hash: await hashText(token), prefix: token.slice(0, 7), createdAt: Date.now(), lastUsedAt: null };
+  await updateJSON(env, "apiTokens", [], tokens => [...tokens, record]);
+  return new Response(renderHTML({ type: 'token', locale: session.locale, title: name, message: token }), { headers: { 'Content-Type': 'text/html;charset=UTF-8' } });
+}
+
+async function handleRevokeToken(request, env) {
+  const formData = await request.formData();
+  await updateJSON(env, "apiTokens", [], tokens => tokens.filter(t => t.id !== formData.get("id")));
+  return new Response(null, { status: 302, headers: { 'Location': '/' } });
+}
+
+// --- 配置备份：导出与导入 ---
+
+const EXPORT_FORMAT = 'cf-keep-alive';
+const EXPORT_VERSION = 1;
+const REDACTED = '__REDACTED__';
+// 名称命中以下规则的请求头视为凭据，默认导出时脱敏
+const SECRET_HEADER_PATTERN = /auth|token|cookie|secret|key|pass/i;
+const SECRET_SETTING_PATHS = [
+  ['notify', 'webhook', 'url'],
+  ['notify', 'telegram', 'botToken'],
+  ['notify', 'push', 'urls'],
+  ['notify', 'email', 'apiKey']
+];
+
+async function handleExport(env, includeSecrets) {
+  const doc = {
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    secrets: includeSecrets,
+    monitors: await getMonitors(env),
+    settings: await getSettings(env)
+  };
+  if (!includeSecrets) redactSecrets(doc);
+  const filename = `keep-alive-${doc.exportedAt.slice(0, 10)}.json`;
+  return new Response(JSON.stringify(doc, null, 2), {
+    headers: { 'Content-Type': 'application/json;charset=UTF-8', 'Content-Disposition': `attachment; filename="${filename}"` }
+  });
+}
+
+function redactSecrets(doc) {
+  for (const m of doc.monitors) {
+    if (m.push) m.push.token = REDACTED;
+  }
+  for (const target of doc.monitors.flatMap(m => [m, ...m.steps])) {
+    for (const name of Object.keys(target.headers)) {
+      if (SECRET_HEADER_PATTERN.test(name) && target.headers[name]) target.headers[name] = REDACTED;
+    }
+  }
+  for (const path of SECRET_SETTING_PATHS) {
+    const parent = path.slice(0, -1).reduce((o, k) => o?.[k], doc.settings);
+    const key = path[path.length - 1];
+    if (parent?.[key]) parent[key] = REDACTED;
+  }
+}
+
+// 导入时脱敏字段沿用当前值，当前不存在时移除
+function restoreMonitorSecrets(imported, current) {
+  // 当前没有对应的推送监控时生成新的 Token
+  if (imported.push?.token === REDACTED) imported.push = { ...imported.push, token: current?.push?.token || '' };
+  // 场景步骤按顺序与当前步骤对应
+  const pairs = [[imported, current], ...imported.steps.map((step, i) => [step, current?.steps?.[i]])];
+  for (const [target, source] of pairs) {
+    for (const [name, value] of Object.entries(target.headers)) {
+      if (value !== REDACTED) continue;
+      if (source?.headers?.[name]) target.headers[name] = source.headers[name];
+      else delete target.headers[name];
+    }
+  }
+  return imported;
+}
+
+function restoreSettingSecrets(imported, current) {
+  for (const path of SECRET_SETTING_PATHS) {
+    const parent = path.slice(0, -1).reduce((o, k) => o?.[k], imported);
+    const key = path[path.length - 1];
+    if (parent?.[key] === REDACTED) parent[key] = path.reduce((o, k) => o?.[k], current) || '';
+  }
+  return imported;
+}
+
+// 解析导入文本：支持本工具的导出文件与 Uptime Kuma 备份
+function parseImportDocument(text) {
+  let doc;
+  try { doc = JSON.parse(text); } catch (e) { return { errors: ['不是合法的 JSON'] }; }
+  if (!doc || typeof doc !== 'object') return { errors: ['不是合法的 JSON 对象'] };
+
+  if (Array.isArray(doc.monitorList)) return fromUptimeKuma(doc);
+  if (doc.format !== EXPORT_FORMAT) return { errors: ['无法识别的格式，需要本工具导出的文件或 Uptime Kuma 备份'] };
+  if (!Number.isInteger(doc.version) || doc.version > EXPORT_VERSION) return { errors: [`不支持的版本: ${doc.version}`] };
+  if (!Array.isArray(doc.monitors)) return { errors: ['monitors 必须是数组'] };
+
+  const errors = [];
+  const monitors = doc.monitors.map((raw, i) => {
+    if (!raw || typeof raw !== 'object') {
+      errors.push(`monitors[${i}] 必须是对象`);
+      return null;
+    }
+    const m = normalizeMonitor(raw);
+    const error = validateMonitor(m);
+    if (error) errors.push(`monitors[${i}]: ${error}`);
+    return m;
+  });
+  if (doc.settings !== undefined && (!doc.settings || typeof doc.settings !== 'object' || Array.isArray(doc.settings))) {
+    errors.push('settings 必须是对象');
+  } else if (doc.settings) {
+    // 导入的设置补齐默认值后必须能通过校验，否则会导致执行或页面出错
+    const error = validateSettings(mergeDefaults(DEFAULT_SETTINGS, doc.settings));
+    if (error) errors.push(`settings: ${error}`);
+  }
+  return { source: `${EXPORT_FORMAT} v${doc.version}`, monitors, settings: doc.settings || null, skipped: [], errors };
+}
+
+// 仅导入 HTTP / 关键字 / 推送 / 端口 / DNS 类型的监控，其余类型列入跳过清单
+function fromUptimeKuma(doc) {
+  const monitors = [];
+  const skipped = [];
+  const errors = [];
+  // 转换后立即校验，错误信息标注 Uptime Kuma 中的监控名
+  const add = (k, fields) => {
+    const m = normalizeMonitor({
+      name: k.name,
+      tags: Array.isArray(k.tags) ? k.tags.map(t => t?.name).filter(Boolean) : [],
+      paused: k.active === false || k.active === 0,
+      interval: Math.ceil((k.interval || 60) / 60),
+      ...fields
+    });
+    const error = validateMonitor(m);
+    if (error) errors.push(`${k.name || k.id}: ${error}`);
+    monitors.push(m);
+  };
+  for (const [i, k] of doc.monitorList.entries()) {
+    if (!k || typeof k !== 'object' || Array.isArray(k)) {
+      errors.push(`monitorList[${i}] 必须是对象`);
+      continue;
+    }
+    if (k.type === 'push') {
+      add(k, { type: 'push', interval: 0, push: { token: k.pushToken, period: Math.ceil((k.interval || 60) / 60) } });
+      continue;
+    }
+    // Uptime Kuma 的 DNS 检测使用普通 DNS 服务器，这里统一改用设置中的 DoH 服务
+    if (k.type === 'port' || k.type === 'dns') {
+      add(k, {
+        type: k.type === 'port' ? 'tcp' : 'dns',
+        url: k.type === 'port' ? `tcp://${String(k.hostname).includes(':') ? `[${k.hostname}]` : k.hostname}:${k.port}` : `dns://${k.hostname}`,
+        dns: { recordType: k.dns_resolve_type }
+      });
+      continue;
+    }
+    if (!['http', 'keyword'].includes(k.type)) {
+      skipped.push(`${k.name} (${k.type})`);
+      continue;
+    }
+    let headers = {};
+    try { headers = k.headers ? JSON.parse(k.headers) : {}; } catch (e) { headers = {}; }
+    const keyword = k.type === 'keyword' ? k.keyword || '' : '';
+    add(k, {
+      url: k.url,
+      method: k.method,
+      headers,
+      body: k.body || '',
+      assertions: {
+        statusCodes: Array.isArray(k.accepted_statuscodes) ? k.accepted_statuscodes.join(',') : '',
+        keyword: k.invertKeyword ? '' : keyword,
+        regex: k.invertKeyword && keyword ? keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&') : ''
+      }
+    });
+  }
+  return { source: 'Uptime Kuma', monitors, settings: null, skipped, errors };
+}
+
+// 计算导入结果与差异：按 id 匹配，其次按 URL + 请求方式匹配
+function planImport(currentMonitors, currentSettings, parsed, mode) {
+  const changes = { added: [], updated: [], removed: [], unchanged: 0, settings: [] };
+  const matched = new Set();
+  const imported = parsed.monitors.map(m => {
+    const match = currentMonitors.find(c => c.id === m.id) || currentMonitors.find(c => !matched.has(c.id) && c.url === m.url && c.method === m.method);
+    const monitor = restoreMonitorSecrets({ ...m, headers: { ...m.headers }, push: m.push && { ...m.push }, id: match ? match.id : m.id }, match);
+    if (!match) changes.added.push(monitor);
+    else if (JSON.stringify(normalizeMonitor(monitor)) !== JSON.stringify(match)) changes.updated.push(monitor);
+    else changes.unchanged++;
+    if (match) matched.add(match.id);
+    return normalizeMonitor(monitor);
+  });
+
+  let monitors;
+  if (mode === 'replace') {
+    monitors = imported;
+    changes.removed = currentMonitors.filter(c => !matched.has(c.id));
+  } else {
+    monitors = currentMonitors.map(c => imported.find(m => m.id === c.id) || c);
+    monitors.push(...imported.filter(m => !currentMonitors.some(c => c.id === m.id)));
+  }
+
+  let settings = currentSettings;
+  if (parsed.settings) {
+    const base = mode === 'replace' ? DEFAULT_SETTINGS : currentSettings;
+    settings = restoreSettingSecrets(pickKnownSettings(mergeDefaults(base, JSON.parse(JSON.stringify(parsed.settings)))), currentSettings);
+    changes.settings = diffPaths(currentSettings, settings);
+  }
+  return { monitors, settings, changes };
+}
+
+// 列出两个对象中取值不同的字段路径
+function diffPaths(a, b, prefix = '') {
+  const keys = new Set([...Object.keys(a || {}), ...Object.keys(b || {})]);
+  return [...keys].flatMap(k => {
+    const path = prefix + k;
+    const [x, y] = [a?.[k], b?.[k]];
+    if (x && y && typeof x === 'object' && typeof y === 'object' && !Array.isArray(x)) return diffPaths(x, y, path + '.');
+    return JSON.stringify(x) === JSON.stringify(y) ? [] : [path];
+  });
+}
+
+// 导入分两步：preview 展示差异，apply 写入
+async function handleImport(request, env, session) {
+  const formData = await request.formData();
+  const file = formData.get("file");
+  const text = file && typeof file === 'object' && file.size > 0 ? await file.text() : (formData.get("data") || '');
+  const mode = formData.get("mode") === 'replace' ? 'replace' : 'merge';
+  const parsed = parseImportDocument(text);
+  if (parsed.errors.length > 0) return renderImportPage(session, { text, mode, errors: parsed.errors });
+
+  const current = await getMonitors(env);
+  const plan = planImport(current, await getSettings(env), parsed, mode);
+  const pushTokenError = translate(DEFAULT_LOCALE, 'validate.pushTokenTaken');
+  if (findDuplicatePushToken(plan.monitors)) return renderImportPage(session, { text, mode, errors: [pushTokenError] });
+  if (formData.get("action") !== 'apply') {
+    return renderImportPage(session, { text, mode, parsed, plan });
+  }
+
+  // 在原子更新内基于最新数据重新计算，避免覆盖预览之后其他人的修改
+  let applied;
+  let conflict;
+  await updateMonitors(env, monitors => {
+    applied = planImport(monitors, plan.settings, parsed, mode);
+    conflict = findDuplicatePushToken(applied.monitors);
+    return conflict ? monitors : applied.monitors;
+  });
+  if (conflict) return renderImportPage(session, { text, mode, errors: [pushTokenError] });
+  if (parsed.settings) await updateSettings(env, settings => planImport([], settings, parsed, mode).settings);
+  await cleanupMonitorData(env, applied.changes.removed.map(m => m.id));
+  const { added, updated, removed } = applied.changes;
+  const notice = translate(session.locale, 'import.done', { added: added.length, updated: updated.length, removed: removed.length, settings: plan.changes.settings.length });
+  return new Response(null, { status: 302, headers: { 'Location': '/?notice=' + encodeURIComponent(notice) } });
+}
+
+function renderImportPage(session, data = {}) {
+  return new Response(renderHTML({
+    type: 'import',
+    csrf: session.csrf,
+    locale: session.locale,
+    data: { text: '', mode: 'merge', errors: [], ...data }
+  }), { status: data.errors?.length ? 400 : 200, headers: { 'Content-Type': 'text/html;charset=UTF-8' } });
+}
+
+// --- 公开状态页 ---
+
+// 匹配 /<slug> 与 /<slug>.json，未启用或路径不符时返回 null
+async function handleStatusPage(request, env, url) {
+  const { statusPage, timezone } = await getSettings(env);
+  // 此前经 API 写入的无效路径（如空路径会占用控制台首页）不生效
+  if (!statusPage.enabled || !isValidSlug(statusPage.slug)) return null;
+  const isJSON = url.pathname === `/${statusPage.slug}.json`;
+  if (!isJSON && url.pathname !== `/${statusPage.slug}`) return null;
+
+  const locale = resolveLocale(request);
+  const data = await buildStatusData(env, statusPage, locale);
+  if (isJSON) {
+    return jsonResponse(data, 200, { 'Access-Control-Allow-Origin': '*', 'Cache-Control': 'public, max-age=60', 'Vary': 'Accept-Language' });
+  }
+  return new Response(renderHTML({ type: 'status', locale, timeZone: timezone, title: statusPage.title, data }), {
+    headers: { 'Content-Type': 'text/html;charset=UTF-8', 'Cache-Control': 'public, max-age=60', 'Vary': 'Accept-Language' }
+  });
+}
+
+// 只输出展示名、状态与可用率，不包含 URL、请求头、错误信息等敏感内容
+async function buildStatusData(env, statusPage, locale) {
+  const urls = await getMonitors(env);
+  const state = await getJSON(env, "state", {});
+  const stats = await getJSON(env, "stats", {});
+  const windows = await getMaintenanceWindows(env);
+  const monitors = urls.filter(m => statusPage.monitors.includes(m.id)).map((m, i) => {
+    const summary = getUptimeSummary(stats[m.id]);
+    const s = state[m.id];
+    return {
+      name: m.name || translate(locale, 'status.unnamed', { n: i + 1 }),
+      status: findActiveMaintenance(windows, m.id) ? 'MAINTENANCE' : s ? s.status : 'PENDING',
+      lastCheckAt: s?.lastCheckAt ? new Date(s.lastCheckAt).toISOString() : null,
+      uptime24h: summary.h24.uptime,
+      uptime30d: summary.d30.uptime,
+      history: summary.history.map(h => h.uptime)
+    };
+  });
+  return {
+    title: statusPage.title,
+    status: monitors.some(m => m.status === 'DOWN') ? 'DEGRADED' : monitors.some(m => m.status === 'MAINTENANCE') ? 'MAINTENANCE' : 'OPERATIONAL',
+    updatedAt: new Date().toISOString(),
+    monitors
+  };
+}
+
+// --- REST API (/api/v1) ---
+
+function jsonResponse(data, status = 200, headers = {}) {
+  return new Response(JSON.stringify(data), { status, headers: { 'Content-Type': 'application/json;charset=UTF-8', ...headers } });
+}
+
+function apiError(status, code, message, headers) {
+  return jsonResponse({ error: { code, message } }, status, headers);
+}
+
+// 校验 Authorization: Bearer <token>，成功时返回对应的 Token 记录
+async function authenticateApiToken(request, env, ctx) {
+  const token = request.headers.get("Authorization")?.match(/^Bearer\s+(\S+)$/i)?.[1];
+  if (!token) return null;
+  const hash = await hashText(token);
+  const tokens = await getJSON(env, "apiTokens", []);
+  const record = tokens.find(t => t.hash === hash);
+  // 最近使用时间每分钟最多写入一次，避免频繁写 KV
+  if (record && Date.now() - (record.lastUsedAt || 0) > 60000) {
+    const now = Date.now();
+    ctx.waitUntil(updateJSON(env, "apiTokens", [], list => {
+      const t = list.find(x => x.id === record.id);
+      if (t) t.lastUsedAt = now;
+    }));
+  }
+  return record || null;
+}
+
+// 空请求体视为 {}，非法 JSON 或非对象返回 undefined
+async function readJSONBody(request) {
+  const text = await request.text();
+  if (!text.trim()) return {};
+  try {
+    const body = JSON.parse(text);
+    return body && typeof body === 'object' && !Array.isArray(body) ? body : undefined;
+  } catch (e) {
+    return undefined;
+  }
+}
+
+async function handleApi(request, env, ctx, url) {
+  const route = url.pathname.match(/^\/api\/v1\/([a-z]+)(?:\/([^/]+))?\/?$/);
+  if (!route) return apiError(404, 'not_found', `未知接口: ${url.pathname}`);
+
+  if (!await authenticateApiToken(request, env, ctx)) {
+    return apiError(401, 'unauthorized', '缺少或无效的 API Token', { 'WWW-Authenticate': 'Bearer' });
+  }
+
+  const [, resource, id] = route;
+  const method = request.method;
+  const handlers = {
+    urls: id ? apiMonitor : apiMonitors,
+    settings: !id && apiSettings,
+    run: !id && apiRun,
+    logs: !id && apiLogs,
+    incidents: !id && apiIncidents
+  };
+  const handler = handlers[resource];
+  if (!handler) return apiError(404, 'not_found', `未知接口: ${url.pathname}`);
+
+  const body = ['POST', 'PUT', 'PATCH'].includes(method) ? await readJSONBody(request) : null;
+  if (body === undefined) return apiError(400, 'invalid_json', '请求体必须是 JSON 对象');
+  return handler({ env, method, id, url, body: body || {} });
+}
+
+async function apiMonitors({ env, method, body }) {
+  if (method === 'GET') return jsonResponse({ data: await getMonitors(env) });
+  if (method !== 'POST') return apiError(405, 'method_not_allowed', `不支持 ${method}`, { 'Allow': 'GET, POST' });
+
+  const monitor = normalizeMonitor({ ...body, id: undefined });
+  const error = validateMonitor(monitor);
+  if (error) return apiError(400, 'validation_failed', error);
+  let conflict;
+  await updateMonitors(env, urls => {
+    conflict = findDuplicatePushToken([...urls, monitor]);
+    if (!conflict) urls.push(monitor);
+  });
+  if (conflict) return apiError(400, 'validation_failed', translate(DEFAULT_LOCALE, 'validate.pushTokenTaken'));
+  return jsonResponse({ data: monitor }, 201);
+}
+
+async function apiMonitor({ env, method, id, body }) {
+  const urls = await getMonitors(env);
+  const index = urls.findIndex(m => m.id === id);
+  if (index < 0) return apiError(404, 'not_found', `监控项不存在: ${id}`);
+
+  if (method === 'GET') return jsonResponse({ data: urls[index] });
+  if (method === 'DELETE') {
+    await removeMonitor(env, id);
+    return new Response(null, { status: 204 });
+  }
+  if (method !== 'PUT' && method !== 'PATCH') {
+    return apiError(405, 'method_not_allowed', `不支持 ${method}`, { 'Allow': 'GET, PUT, PATCH, DELETE' });
+  }
+
+  // PUT 整体替换，PATCH 在原值基础上合并
+  const base = method === 'PATCH' ? urls[index] : {};
+  // 推送地址的 Token 与 id 一样在替换时保留，除非请求中显式指定
+  const push = { token: urls[index].push?.token, since: urls[index].push?.since, ...base.push, ...body.push };
+  const monitor = normalizeMonitor({ ...base, ...body, assertions: { ...base.assertions, ...body.assertions }, watch: { ...base.watch, ...body.watch }, dns: { ...base.dns, ...body.dns }, push, id });
+  const error = validateMonitor(monitor);
+  if (error) return apiError(400, 'validation_failed', error);
+  let previous;
+  let conflict;
+  await updateMonitors(env, list => {
+    const next = list.map(m => m.id === id ? (previous = m, monitor) : m);
+    conflict = findDuplicatePushToken(next);
+    return conflict ? list : next;
+  });
+  if (conflict) return apiError(400, 'validation_failed', translate(DEFAULT_LOCALE, 'validate.pushTokenTaken'));
+  await rescheduleMonitor(env, previous, monitor);
+  return jsonResponse({ data: monitor });
+}
+
+async function apiSettings({ env, method, body }) {
+  if (method === 'GET') return jsonResponse({ data: await getSettings(env) });
+  if (method !== 'PUT' && method !== 'PATCH') return apiError(405, 'method_not_allowed', `不支持 ${method}`, { 'Allow': 'GET, PUT, PATCH' });
+
+  let error;
+  const settings = await updateSettings(env, current => {
+    const next = pickKnownSettings(mergeDefaults(method === 'PATCH' ? current : DEFAULT_SETTINGS, body));
+    error = validateSettings(next);
+    return error ? current : next;
+  });
+  if (error) return apiError(400, 'validation_failed', error);
+  return jsonResponse({ data: settings });
+}
+
+// 触发一次执行，body.id 可选，只执行单个监控项
+async function apiRun({ env, method, body }) {
+  if (method !== 'POST') return apiError(405, 'method_not_allowed', `不支持 ${method}`, { 'Allow': 'POST' });
+  if (body.id && !(await getMonitors(env)).some(m => m.id === body.id)) {
+    return apiError(404, 'not_found', `监控项不存在: ${body.id}`);
+  }
+  const log = await executeTasksAndSaveLogs(env, "API", body.id ? [body.id] : undefined);
+  if (!log) return apiError(409, 'no_monitors', '没有可执行的监控项');
+  return jsonResponse({ data: log });
+}
+
+async function apiLogs({ env, method, url }) {
+  if (method !== 'GET') return apiError(405, 'method_not_allowed', `不支持 ${method}`, { 'Allow': 'GET' });
+  const settings = await getSettings(env);
+  const limit = Math.max(1, parseInt(url.searchParams.get("limit")) || settings.logRetention);
+  const logs = await queryLogs(env, parseLogFilter(url.searchParams), settings);
+  return jsonResponse({ data: logs.slice(0, limit) });
+}
+
+// --- 日志浏览与导出 ---
+
+const LOG_PAGE_SIZE = 20;
+// KV 模式下浏览日志需要逐条读取记录，保留条数设上限以控制单次请求的读取量
+const MAX_LOG_RETENTION = 500;
+const LOG_TRIGGERS = ['CRON', 'MANUAL', 'API'];
+const LOG_STATUSES = ['success', 'fail'];
+const LOG_CSV_COLUMNS = ['timestamp', 'trigger', 'monitor_id', 'url', 'method', 'status', 'result', 'response_time_ms', 'attempts', 'error'];
+
+// 从查询参数解析筛选条件，非法值一律视为未筛选
+function parseLogFilter(params) {
+  const pick = (name, allowed) => allowed.includes(params.get(name)) ? params.get(name) : '';
+  const date = (name) => /^\d{4}-\d{2}-\d{2}$/.test(params.get(name) || '') ? params.get(name) : '';
+  return {
+    url: (params.get("url") || '').trim(),
+    status: pick("status", LOG_STATUSES),
+    trigger: pick("trigger", LOG_TRIGGERS),
+    from: date("from"),
+    to: date("to")
+  };
+}
+
+// 单条检测结果的状态：跳过（含维护跳过）既不算成功也不算失败
+function getResultStatus(r) {
+  return r.skipped ? 'skipped' : r.ok ? 'success' : 'fail';
+}
+
+// 按筛选条件过滤日志；日期按显示时区的自然日计算，按 URL 或状态筛选时只保留匹配的检测结果
+function filterLogs(logs, filter, timeZone) {
+  const from = filter.from ? parseZonedDateTime(`${filter.from}T00:00`, timeZone) : -Infinity;
+  const to = filter.to ? parseZonedDateTime(`${filter.to}T00:00`, timeZone) + DAY_MS : Infinity;
+  const needle = filter.url.toLowerCase();
+  return logs.flatMap(log => {
+    const time = new Date(getLogTime(log)).getTime();
+    if (time < from || time >= to) return [];
+    if (filter.trigger && (log.trigger || 'MANUAL') !== filter.trigger) return [];
+    if (!needle && !filter.status) return [log];
+    const results = log.results.filter(r =>
+      (!needle || String(r.url).toLowerCase().includes(needle)) && (!filter.status || getResultStatus(r) === filter.status));
+    return results.length ? [{ ...log, results }] : [];
+  });
+}
+
+// 读取全部保留的日志并按条件筛选，最新在前
+async function queryLogs(env, filter, settings) {
+  const logs = await getStore(env).getLogs({ limit: settings.logRetention });
+  return filterLogs(logs, filter, settings.timezone);
+}
+
+async function renderLogsPage(env, session, url) {
+  const { locale, timeZone } = session;
+  const settings = await getSettings(env);
+  const filter = parseLogFilter(url.searchParams);
+  const logs = await queryLogs(env, filter, settings);
+  const pages = Math.max(1, Math.ceil(logs.length / LOG_PAGE_SIZE));
+  const page = Math.min(pages, Math.max(1, parseInt(url.searchParams.get("page")) || 1));
+  const data = {
+    logs: logs.slice((page - 1) * LOG_PAGE_SIZE, page * LOG_PAGE_SIZE),
+    total: logs.length,
+    page,
+    pages,
+    filter,
+    retention: settings.logRetention,
+    monitors: await getMonitors(env)
+  };
+  return new Response(renderHTML({ type: 'logs', locale, timeZone, data }), {
+    headers: { 'Content-Type': 'text/html;charset=UTF-8' }
+  });
+}
+
+// 导出当前筛选结果：JSON 为完整日志，CSV 每行一条检测结果
+async function handleLogExport(env, url) {
+  const settings = await getSettings(env);
+  const logs = (await queryLogs(env, parseLogFilter(url.searchParams), settings))
+    .map(log => ({ ...log, timestamp: new Date(getLogTime(log)).toISOString() }));
+  const filename = `keep-alive-logs-${new Date().toISOString().slice(0, 10)}`;
+  if (url.searchParams.get("format") === 'csv') {
+    const rows = logs.flatMap(log => log.results.map(r => [
+      log.timestamp, log.trigger || 'MANUAL', r.id, r.url, r.method || 'GET', r.status, getResultStatus(r), r.time, r.attempts, r.error || r.watchError
+    ]));
+    // 带 BOM 以便 Excel 正确识别 UTF-8 中文
+    const csv = '\ufeff' + [LOG_CSV_COLUMNS, ...rows].map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+    return new Response(csv, {
+      headers: { 'Content-Type': 'text/csv;charset=UTF-8', 'Content-Disposition': `attachment; filename="${filename}.csv"` }
+    });
+  }
+  return new Response(JSON.stringify(logs, null, 2), {
+    headers: { 'Content-Type': 'application/json;charset=UTF-8', 'Content-Disposition': `attachment; filename="${filename}.json"` }
+  });
+}
+
+// CSV 单元格转义；以 = + - @ 开头的文本加单引号，防止表格软件当作公式执行
+function csvCell(value) {
+  let text = String(value ?? '');
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = "'" + text;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// --- 故障事件 ---
+// 每个监控项的连续失败合并为一个故障：首次失败时开启，恢复时关闭；
+// 故障单独保存在 incidents 键中（最新在前），不受执行日志保留条数影响
+
+const MAX_INCIDENTS = 500;
+const INCIDENT_PAGE_SIZE = 20;
+const INCIDENT_NOTE_LIMIT = 1000;
+const INCIDENT_STATUSES = ['open', 'acknowledged', 'resolved'];
+
+async function processIncidents(env, monitors, results, now) {
+  if (results.length === 0) return;
+  await updateJSON(env, "incidents", [], incidents => {
+    for (const r of results) {
+      const open = incidents.find(i => i.monitorId === r.id && !i.endedAt);
+      const error = r.error || `HTTP ${r.status}`;
+      if (r.ok) {
+        if (open) Object.assign(open, { endedAt: now, duration: now - open.startedAt });
+      } else if (open) {
+        open.failedChecks++;
+        open.lastError = error;
+      } else {
+        const m = monitors.find(x => x.id === r.id);
+        incidents.unshift({
+          id: crypto.randomUUID(),
+          monitorId: r.id,
+          name: m?.name || '',
+          url: r.url,
+          startedAt: now,
+          endedAt: null,
+          duration: null,
+          firstError: error,
+          lastError: error,
+          failedChecks: 1,
+          ack: null,
+          notes: []
+        });
+      }
+    }
+    // 超出上限时只删除最早的已恢复故障
+    let closed = 0;
+    return incidents.filter(i => !i.endedAt || ++closed <= MAX_INCIDENTS);
+  });
+}
+
+function getIncidentStatus(incident) {
+  return incident.endedAt ? 'resolved' : incident.ack ? 'acknowledged' : 'open';
+}
+
+function parseIncidentFilter(params) {
+  const date = (name) => /^\d{4}-\d{2}-\d{2}$/.test(params.get(name) || '') ? params.get(name) : '';
+  return {
+    monitor: params.get("monitor") || '',
+    status: INCIDENT_STATUSES.includes(params.get("status")) ? params.get("status") : '',
+    from: date("from"),
+    to: date("to")
+  };
+}
+
+// 日期范围按开始时间筛选，按显示时区的自然日计算
+function filterIncidents(incidents, filter, timeZone) {
+  const from = filter.from ? parseZonedDateTime(`${filter.from}T00:00`, timeZone) : -Infinity;
+  const to = filter.to ? parseZonedDateTime(`${filter.to}T00:00`, timeZone) + DAY_MS : Infinity;
+  return incidents.filter(i =>
+    (!filter.monitor || i.monitorId === filter.monitor) &&
+    (!filter.status || getIncidentStatus(i) === filter.status) &&
+    i.startedAt >= from && i.startedAt < to);
+}
+
+async function renderIncidentsPage(env, session, url) {
+  const { locale, timeZone } = session;
+  const filter = parseIncidentFilter(url.searchParams);
+  const incidents = filterIncidents(await getJSON(env, "incidents", []), filter, timeZone);
+  const pages = Math.max(1, Math.ceil(incidents.length / INCIDENT_PAGE_SIZE));
+  const page = Math.min(pages, Math.max(1, parseInt(url.searchParams.get("page")) || 1));
+  const data = {
+    incidents: incidents.slice((page - 1) * INCIDENT_PAGE_SIZE, page * INCIDENT_PAGE_SIZE),
+    total: incidents.length,
+    page,
+    pages,
+    filter,
+    monitors: await getMonitors(env)
+  };
+  return new Response(renderHTML({ type: 'incidents', csrf: session.csrf, locale, timeZone, data }), {
+    headers: { 'Content-Type': 'text/html;charset=UTF-8' }
+  });
+}
+
+// 确认与备注表单可能来自控制台或故障页，完成后返回原页面
+function incidentRedirect(formData) {
+  const location = formData.get("back") === '/incidents' ? '/incidents' : '/';
+  return new Response(null, { status: 302, headers: { 'Location': location } });
+}
+
+async function handleAckIncident(request, env, session) {
+  const formData = await request.formData();
+  const id = formData.get("id");
+  await updateJSON(env, "incidents", [], incidents => {
+    const incident = incidents.find(i => i.id === id);
+    if (incident && !incident.endedAt && !incident.ack) incident.ack = { by: session.user.username, at: Date.now() };
+  });
+  return incidentRedirect(formData);
+}
+
+async function handleIncidentNote(request, env, session) {
+  const formData = await request.formData();
+  const id = formData.get("id");
+  const text = (formData.get("note") || '').trim().slice(0, INCIDENT_NOTE_LIMIT);
+  if (text) {
+    await updateJSON(env, "incidents", [], incidents => {
+      incidents.find(i => i.id === id)?.notes.push({ by: session.user.username, at: Date.now(), text });
+    });
+  }
+  return incidentRedirect(formData);
+}
+
+async function apiIncidents({ env, method, url }) {
+  if (method !== 'GET') return apiError(405, 'method_not_allowed', `不支持 ${method}`, { 'Allow': 'GET' });
+  const settings = await getSettings(env);
+  const incidents = filterIncidents(await getJSON(env, "incidents", []), parseIncidentFilter(url.searchParams), settings.timezone);
+  return jsonResponse({ data: incidents.map(i => ({ ...i, status: getIncidentStatus(i) })) });
+}
+
+// --- Prometheus 指标 (/metrics) ---
+
+// 每个监控项的累计检测次数与最近一次结果，计数只增不减
+async function recordMetrics(env, results) {
+  if (results.length === 0) return;
+  const now = Date.now();
+  await updateJSON(env, "metrics", {}, metrics => {
+    for (const r of results) {
+      const prev = metrics[r.id] || { checks: 0, failures: 0 };
+      metrics[r.id] = {
+        checks: prev.checks + 1,
+        failures: prev.failures + (r.ok ? 0 : 1),
+        ok: r.ok,
+        status: r.status,
+        time: r.time ?? null,
+        attempts: r.attempts,
+        lastCheckAt: now
+      };
+    }
+  });
+}
+
+// 与 REST API 共用 Bearer Token 鉴权，输出 OpenMetrics 文本格式
+async function handleMetrics(request, env, ctx) {
+  if (request.method !== 'GET') return new Response('Method Not Allowed', { status: 405, headers: { 'Allow': 'GET' } });
+  if (!await authenticateApiToken(request, env, ctx)) {
+    return new Response('Unauthorized', { status: 401, headers: { 'WWW-Authenticate': 'Bearer' } });
+  }
+
+  const urls = await getMonitors(env);
+  const metrics = await getJSON(env, "metrics", {});
+  const [lastRun] = await getStore(env).getLogs({ limit: 1 });
+
+  const families = [];
+  const family = (name, type, help, samples, unit) => {
+    if (samples.length === 0) return;
+    families.push(`# TYPE ${name} ${type}`);
+    if (unit) families.push(`# UNIT ${name} ${unit}`);
+    families.push(`# HELP ${name} ${help}`);
+    families.push(...samples);
+  };
+  const sample = (name, labels, value) => {
+    const pairs = Object.entries(labels).map(([k, v]) => `${k}="${escapeLabelValue(v)}"`).join(',');
+    return `${name}${pairs ? `{${pairs}}` : ''} ${value}`;
+  };
+
+  // 只输出至少检测过一次的监控项
+  const monitors = urls.filter(m => metrics[m.id]).map(m => ({
+    labels: { id: m.id, name: m.name, url: m.url, group: m.group },
+    data: metrics[m.id]
+  }));
+  const perMonitor = (name, pick) => monitors
+    .filter(({ data }) => pick(data) !== null && pick(data) !== undefined)
+    .map(({ labels, data }) => sample(name, labels, pick(data)));
+
+  family('keepalive_up', 'gauge', '最近一次检测是否成功 (1=UP, 0=DOWN)', perMonitor('keepalive_up', d => d.ok ? 1 : 0));
+  family('keepalive_response_time_seconds', 'gauge', '最近一次检测的响应时间', perMonitor('keepalive_response_time_seconds', d => d.time === null ? null : d.time / 1000), 'seconds');
+  family('keepalive_http_status', 'gauge', '最近一次检测的 HTTP 状态码，请求失败时为 0', perMonitor('keepalive_http_status', d => d.status));
+  family('keepalive_attempts', 'gauge', '最近一次检测使用的尝试次数（含重试）', perMonitor('keepalive_attempts', d => d.attempts));
+  family('keepalive_last_check_timestamp_seconds', 'gauge', '最近一次检测的时间', perMonitor('keepalive_last_check_timestamp_seconds', d => d.lastCheckAt / 1000), 'seconds');
+  family('keepalive_checks', 'counter', '累计检测次数', perMonitor('keepalive_checks_total', d => d.checks));
+  family('keepalive_failures', 'counter', '累计失败次数', perMonitor('keepalive_failures_total', d => d.failures));
+
+  if (lastRun) {
+    family('keepalive_last_run', 'info', '最近一次执行的触发方式', [sample('keepalive_last_run_info', { trigger: lastRun.trigger || 'MANUAL' }, 1)]);
+    family('keepalive_last_run_timestamp_seconds', 'gauge', '最近一次执行完成的时间', [sample('keepalive_last_run_timestamp_seconds', {}, lastRun.id / 1000)], 'seconds');
+    if (lastRun.duration !== undefined) {
+      family('keepalive_last_run_duration_seconds', 'gauge', '最近一次执行的耗时', [sample('keepalive_last_run_duration_seconds', {}, lastRun.duration / 1000)], 'seconds');
+      family('keepalive_last_run_subrequests', 'gauge', '最近一次执行发出的子请求数', [sample('keepalive_last_run_subrequests', {}, lastRun.subrequests)]);
+    }
+    family('keepalive_last_run_monitors', 'gauge', '最近一次执行涉及的监控项数', [sample('keepalive_last_run_monitors', {}, lastRun.results.length)]);
+  }
+
+  return new Response(families.join('\n') + '\n# EOF\n', {
+    headers: { 'Content-Type': 'application/openmetrics-text; version=1.0.0; charset=utf-8', 'Cache-Control': 'no-store' }
+  });
+}
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+// --- 多语言与时区 ---
+// 界面文案按语言分目录存放：账户设置中选择的语言优先，其次按 Accept-Language 匹配，缺失的条目回退到中文
+
+const DEFAULT_LOCALE = 'zh-CN';
+const SUPPORTED_LOCALES = ['zh-CN', 'en'];
+
+const LOCALES = {
+  'zh-CN': {
+    'locale.name': '简体中文',
+    'weekdays': ['周日', '周一', '周二', '周三', '周四', '周五', '周六'],
+    'durationUnits': ['天', '小时', '分', '秒'],
+    'durationSeparator': '',
+    'common.back': '返回',
+    'common.save': '保存',
+    'common.delete': '删除',
+    'common.retry': '重试',
+    'error.noStorage.title': '配置错误',
+    'error.noStorage.message': '未绑定 KV 数据库，变量名必须为 <b>MY_KV</b>（或绑定名为 <b>DB</b> 的 D1 数据库）。',
+    'error.csrf.title': '请求被拒绝',
+    'error.csrf.message': 'CSRF 校验失败，请刷新页面后重试。',
+    'error.forbidden.title': '权限不足',
+    'error.forbidden.message': '当前账户为查看者，无法执行该操作。',
+    'error.notFound.title': '未找到',
+    'error.monitorNotFound': '监控项不存在。',
+    'setup.title': '初始化设置',
+    'setup.intro': '请创建管理员账户以保护您的数据。',
+    'setup.username': '管理员用户名...',
+    'setup.submit': '保存设置',
+    'login.title': '身份验证',
+    'login.intro': '请输入用户名和密码进入控制台。',
+    'login.username': '用户名...',
+    'login.password': '输入密码...',
+    'login.submit': '解锁进入',
+    'login.locked': '尝试次数过多，请 {minutes} 分钟后再试',
+    'login.failed': '用户名或密码错误（还可尝试 {left} 次）',
+    'auth.invalidUsername': '用户名需为 2-32 位字母、数字或 _.-',
+    'auth.passwordTooShort': '密码太短',
+    'token.created': 'Token「{name}」已创建，请立即复制保存，离开本页后将无法再次查看。',
+    'token.back': '返回控制台',
+    'status.allUp': '所有服务运行正常',
+    'status.someMaintenance': '部分服务正在维护',
+    'status.someDown': '部分服务出现异常',
+    'status.UP': '正常',
+    'status.DOWN': '异常',
+    'status.MAINTENANCE': '维护中',
+    'status.PENDING': '待检测',
+    'status.lastCheck': '最后检测',
+    'status.empty': '暂无公开的监控项',
+    'status.unnamed': '服务 #{n}',
+    'account.title': '账户安全',
+    'account.currentPassword': '当前密码',
+    'account.newPassword': '新密码',
+    'account.confirmPassword': '确认新密码',
+    'account.changePassword': '修改密码',
+    'account.currentSession': '[当前]',
+    'account.logoutAll': '注销所有会话',
+    'account.language': '界面语言',
+    'account.languageAuto': '跟随浏览器',
+    'account.savePreferences': '保存偏好',
+    'account.preferencesSaved': '偏好已保存',
+    'account.wrongPassword': '当前密码错误',
+    'account.newPasswordTooShort': '新密码太短',
+    'account.passwordMismatch': '两次输入的新密码不一致',
+    'account.passwordChanged': '密码已修改，其他会话已注销',
+    'users.title': '用户管理',
+    'users.current': '(当前)',
+    'users.edit': '修改角色 / 重置密码',
+    'users.role': '角色',
+    'users.newPasswordOptional': '新密码（留空不修改）',
+    'users.username': '用户名',
+    'users.password': '密码',
+    'users.create': '创建用户',
+    'users.saved': '已保存用户 {username}',
+    'users.keepOneAdmin': '至少需要保留一名管理员',
+    'users.cannotDeleteSelf': '不能删除当前登录的账户',
+    'role.viewer': '查看者',
+    'role.admin': '管理员',
+    'import.title': '导入配置',
+    'import.modeMerge': '合并',
+    'import.modeReplace': '替换',
+    'import.skippedType': '跳过不支持的类型: {type}',
+    'import.unchanged': '未变化的监控项: {count}',
+    'import.confirm': '确认导入',
+    'import.paste': '粘贴导出的 JSON（支持本工具导出文件与 Uptime Kuma 备份）',
+    'import.upload': '或上传文件',
+    'import.merge': '合并（保留现有监控）',
+    'import.replace': '替换（删除未包含的监控）',
+    'import.preview': '预览差异',
+    'import.done': '导入完成：新增 {added}，更新 {updated}，删除 {removed}，设置变更 {settings} 项',
+    'content.title': '内容历史',
+    'content.watchOff': '（内容监测已关闭）',
+    'content.empty': '暂无快照，开启内容监测并执行一次后生成。',
+    'content.truncated': '（快照过长，已截断）',
+    'content.baseline': '基线版本',
+    'content.viewSnapshot': '查看快照',
+    'dash.users': '用户',
+    'dash.logout': '退出',
+    'dash.runNow': '立即执行任务',
+    'settings.retryCount': '失败重试次数 (次)',
+    'settings.retryDelay': '重试延迟 (秒)',
+    'settings.backoff': '退避策略',
+    'settings.backoffFixed': '固定延迟',
+    'settings.backoffExponential': '指数退避 + 抖动',
+    'settings.maxBackoff': '最大退避 (秒)',
+    'settings.concurrency': '并发数',
+    'settings.timeout': '请求超时 (秒)',
+    'settings.subrequestBudget': '子请求预算 (次)',
+    'settings.timeBudget': '时间预算 (秒)',
+    'settings.hourlyRetention': '小时统计保留 (小时)',
+    'settings.dailyRetention': '每日统计保留 (天)',
+    'settings.timezone': '显示时区 (IANA)',
+    'settings.logRetention': '执行日志保留 (次)',
+    'settings.invalidTimezone': '无效的时区: {timezone}',
+    'settings.dnsResolver': 'DNS-over-HTTPS 服务',
+    'settings.invalidResolver': 'DoH 服务必须是 https:// 开头的 URL: {url}',
+    'notify.channels': '通知渠道（已启用: {channels}）',
+    'notify.none': '无',
+    'notify.test': '测试 {channel}',
+    'notify.alertAfter': '连续失败 N 次后告警',
+    'notify.renotify': '持续故障重复提醒间隔 (分钟，0 为不重复)',
+    'notify.webhookUrl': 'Webhook 地址（POST JSON）',
+    'notify.webhookTemplate': 'Webhook 请求体模板（可用 {{event}} {{url}} {{status}} {{error}} {{failures}} {{time}}）',
+    'notify.pushUrls': '推送地址（每行一个；ntfy 直接填主题地址，Bark 使用 {{title}}/{{message}} 占位符）',
+    'notify.emailApiUrl': '邮件 API 地址（Resend 兼容）',
+    'notify.emailApiKey': '邮件 API Key',
+    'notify.emailFrom': '发件人',
+    'notify.emailTo': '收件人（逗号分隔）',
+    'notify.save': '保存通知设置',
+    'notify.notConfigured': '渠道 {channel} 未配置',
+    'notify.sent': '{channel}: 发送成功',
+    'notify.failed': '{channel}: 发送失败 - {error}',
+    'notify.separator': '；',
+    'urls.cron': 'Cron {cron} · 约每 {minutes} 分钟触发一次',
+    'urls.noCron': '尚未检测到 Cron 触发，请在 Worker 设置中添加触发器。',
+    'urls.search': '搜索名称 / URL / 分组',
+    'urls.allTags': '全部标签',
+    'urls.filter': '筛选',
+    'urls.clear': '清除',
+    'urls.selectAll': '全选',
+    'urls.addPlaceholder': 'https://example.com（可粘贴多行批量添加）',
+    'urls.add': '添加',
+    'urls.advanced': '高级选项（请求方式 / 请求头 / 断言）',
+    'urls.paused': '已暂停',
+    'urls.maintenance': '维护中',
+    'urls.contentHistory': '查看内容历史',
+    'urls.contentChangedAt': '内容变化于 {time}',
+    'urls.watching': '内容监测中',
+    'urls.pushEvery': '心跳每 {period} 分钟 · 宽限 {grace} 分钟',
+    'urls.lastPing': '上次心跳 {time}',
+    'urls.noPing': '尚未收到心跳',
+    'urls.edit': '编辑',
+    'urls.ungrouped': '未分组',
+    'urls.groupPaused': '分组已暂停',
+    'urls.resumeGroup': '恢复分组',
+    'urls.pauseGroup': '暂停分组',
+    'urls.noMatch': '没有符合筛选条件的监控项',
+    'urls.empty': '暂无 URL，请在下方添加。',
+    'urls.saveFailed': '保存失败: {error}',
+    'urls.addedSkipped': '已添加 {added} 个，跳过 {skipped} 个无效或重复的 URL: {urls}',
+    'validate.pushToken': 'push.token 只能包含字母、数字、- 与 _，且不少于 8 位',
+    'validate.pushTokenTaken': 'push.token 已被其他监控项使用',
+    'validate.tcpUrl': 'TCP 检测的 url 格式应为 tcp://主机:端口: {url}',
+    'validate.dnsUrl': 'DNS 检测的 url 格式应为 dns://域名: {url}',
+    'validate.urlRequired': 'url 不能为空',
+    'validate.urlScheme': 'url 必须以 http:// 或 https:// 开头',
+    'validate.urlInvalid': 'url 无效: {url}',
+    'validate.method': '不支持的请求方式: {method}',
+    'validate.headBody': 'HEAD 请求没有响应正文，不能使用关键字或正则断言',
+    'validate.headers': 'headers 必须是对象',
+    'validate.headerValues': 'headers 的值必须是字符串',
+    'validate.tags': 'tags 必须是字符串数组',
+    'validate.string': '{field} 必须是字符串',
+    'validate.watchExpr': '内容监测需要填写选择器、路径或正则',
+    'validate.regex': '正则无效: {pattern}',
+    'validate.stepsEmpty': '场景步骤必须是非空的 JSON 数组',
+    'validate.variableName': '变量名只能包含字母、数字和下划线',
+    'validate.extractSource': '不支持的提取来源: {from}',
+    'validate.extractExpr': '变量 {name} 缺少提取表达式',
+    'bulk.run': '立即执行',
+    'bulk.pause': '暂停',
+    'bulk.resume': '恢复',
+    'bulk.delete': '删除',
+    'bulk.submit': '批量操作',
+    'bulk.noneSelected': '请先勾选监控项',
+    'bulk.paused': '已暂停 {count} 个监控项',
+    'bulk.resumed': '已恢复 {count} 个监控项',
+    'bulk.deleted': '已删除 {count} 个监控项',
+    'bulk.ran': '已执行 {count} 个监控项',
+    'bulk.allPaused': '所选监控项均已暂停',
+    'bulk.unknown': '未知操作: {action}',
+    'maint.defaultName': '维护窗口',
+    'maint.active': '进行中',
+    'maint.weekly': '（每{days} {start}-{end}，{timezone}）',
+    'maint.daySeparator': '、',
+    'maint.modeMark': '照常检测并标记',
+    'maint.modeSkip': '跳过检测',
+    'maint.allMonitors': '所有监控项',
+    'maint.endOccurrence': '结束本次维护',
+    'maint.endNow': '提前结束',
+    'maint.empty': '暂无进行中或计划中的维护',
+    'maint.add': '添加维护窗口',
+    'maint.name': '名称',
+    'maint.namePlaceholder': '如：后端发布',
+    'maint.checks': '维护期间的检测',
+    'maint.optionSkip': '跳过检测',
+    'maint.optionMark': '照常检测，结果标记为维护',
+    'maint.once': '一次性',
+    'maint.weeklyOption': '每周重复',
+    'maint.start': '开始（一次性）',
+    'maint.end': '结束（一次性）',
+    'maint.days': '重复日期（每周）',
+    'maint.dailyStart': '每日开始（每周）',
+    'maint.dailyEnd': '每日结束（每周，早于开始表示跨午夜）',
+    'maint.scopeAll': '所有监控项',
+    'maint.scopeSelected': '仅下列选中项',
+    'maint.timezoneNote': '时间均按 {timezone} 时区计算。',
+    'maint.added': '维护窗口已添加',
+    'maint.notSaved': '维护窗口未保存: {error}',
+    'maint.error.noDays': '请至少选择一天',
+    'maint.error.timeFormat': '时间格式应为 HH:MM',
+    'maint.error.missingRange': '请填写开始和结束时间',
+    'maint.error.endBeforeStart': '结束时间必须晚于开始时间',
+    'maint.error.noMonitors': '请至少选择一个监控项',
+    'statusPage.summary': '公开状态页（{state}）',
+    'statusPage.enabledAt': '已启用: {link}',
+    'statusPage.disabled': '未启用',
+    'statusPage.enable': '启用公开状态页（JSON: /{slug}.json）',
+    'statusPage.slug': '访问路径',
+    'statusPage.title': '页面标题',
+    'statusPage.monitors': '展示的监控项（在编辑中设置显示名称，未设置时以编号代替）',
+    'statusPage.invalidSlug': '状态页路径无效或已被占用: {slug}',
+    'backup.export': '导出配置',
+    'backup.exportSecrets': '导出（含密钥）',
+    'backup.import': '导入配置',
+    'api.lastUsed': '最近使用 {time}',
+    'api.neverUsed': '从未使用',
+    'api.revoke': '吊销',
+    'api.empty': '暂无 API Token，创建后可通过 /api/v1 管理监控。',
+    'api.namePlaceholder': 'Token 名称，如 ci-deploy',
+    'api.create': '创建',
+    'logs.empty': '暂无执行日志',
+    'logs.title': '执行日志',
+    'logs.viewAll': '查看全部日志',
+    'logs.filterUrl': '按 URL 筛选...',
+    'logs.allStatuses': '全部状态',
+    'logs.status.success': '成功',
+    'logs.status.fail': '失败',
+    'logs.allTriggers': '全部触发方式',
+    'logs.from': '开始日期',
+    'logs.to': '结束日期',
+    'logs.summary': '共 {total} 次执行（最多保留 {retention} 次）',
+    'logs.noMatch': '没有符合条件的执行记录',
+    'logs.page': '第 {page} / {pages} 页',
+    'logs.prev': '上一页',
+    'logs.next': '下一页',
+    'logs.details': '详情',
+    'incident.title': '故障事件',
+    'incident.viewAll': '查看全部故障',
+    'incident.noneOpen': '当前没有未恢复的故障',
+    'incident.noMatch': '没有符合条件的故障',
+    'incident.summary': '共 {total} 条故障',
+    'incident.allMonitors': '全部监控项',
+    'incident.allStatuses': '全部状态',
+    'incident.status.open': '未处理',
+    'incident.status.acknowledged': '已确认',
+    'incident.status.resolved': '已恢复',
+    'incident.started': '开始于 {time}',
+    'incident.lasted': '持续 {duration}',
+    'incident.ongoing': '已持续 {duration}',
+    'incident.failedChecks': '失败 {count} 次',
+    'incident.firstError': '首次错误: {error}',
+    'incident.lastError': '最近错误: {error}',
+    'incident.ack': '确认',
+    'incident.ackedBy': '{user} 于 {time} 确认',
+    'incident.notes': '备注 ({count})',
+    'incident.notePlaceholder': '排查记录、原因、处理措施...',
+    'incident.addNote': '添加备注',
+    'logs.contentChanged': '内容已变化',
+    'field.name': '显示名称（用于公开状态页）',
+    'field.namePlaceholder': '如：官网首页',
+    'field.group': '分组',
+    'field.groupPlaceholder': '如：项目 A',
+    'field.tags': '标签（逗号分隔）',
+    'field.paused': '暂停此监控',
+    'field.type': '检测类型',
+    'field.typeHttp': '单次 HTTP 请求',
+    'field.typeScenario': '多步骤场景（忽略下方请求方式、请求头与请求体）',
+    'field.typePush': '推送心跳（由任务访问心跳地址，无需填写 URL）',
+    'field.typeTcp': 'TCP 端口（URL 填 tcp://主机:端口；请求体作为探测内容发送，关键字 / 正则校验回复）',
+    'field.typeDns': 'DNS 解析（URL 填 dns://域名，通过设置中的 DoH 服务解析）',
+    'field.dnsType': 'DNS 记录类型',
+    'field.dnsExpected': 'DNS 期望值（留空只要求记录存在）',
+    'field.dnsExpectedPlaceholder': '如 1.2.3.4 或 10 mail.example.com',
+    'field.pushPeriod': '心跳周期 (分钟)',
+    'field.pushGrace': '宽限时间 (分钟)',
+    'field.pushUrl': '心跳地址（status=down 表示任务失败，msg 为说明，ping 为耗时 ms）',
+    'field.pushRegenerate': '重新生成心跳地址（旧地址立即失效）',
+    'field.steps': '场景步骤（JSON 数组；url 省略时使用上方 URL，{{变量}} 引用前面步骤提取的值，Cookie 自动携带）',
+    'field.method': '请求方式',
+    'field.statusCodes': '预期状态码',
+    'field.statusCodesPlaceholder': '默认 200-299，如 200-299,401',
+    'field.interval': '检测间隔 (分钟，0 为每次触发)',
+    'field.jitter': '随机抖动 (分钟)',
+    'field.headers': '请求头（每行一个 Key: Value）',
+    'field.body': '请求体',
+    'field.keyword': '必须包含关键字',
+    'field.regex': '匹配即失败的正则',
+    'field.maxLatency': '最大耗时 (ms)',
+    'field.watch': '内容变化监测',
+    'field.watchExpr': '选择器 / JSON 路径 / 正则',
+    'field.watchExprPlaceholder': '如 .price、$.data.version',
+    'field.watchIgnore': '忽略的易变内容（每行一个正则，如时间戳）',
+    'field.watchNotify': '内容变化时发送通知',
+    'watch.off': '关闭',
+    'watch.body': '整个响应体',
+    'watch.selector': 'CSS 选择器',
+    'watch.json': 'JSON 路径',
+    'watch.regex': '正则匹配',
+    'schedule.every': '每 {minutes} 分钟',
+    'schedule.jitter': '（抖动 ≤{minutes} 分钟）',
+    'schedule.everyTrigger': '每次触发',
+    'schedule.nextTrigger': '下次触发时',
+    'schedule.next': '下次运行: {time}',
+    'schedule.warn': '⚠ 间隔短于 Cron 周期 {minutes} 分钟，实际按 Cron 周期执行'
+  },
+  en: {
+    'locale.name': 'English',
+    'weekdays': ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'],
+    'durationUnits': ['d', 'h', 'm', 's'],
+    'durationSeparator': ' ',
+    'common.back': 'Back',
+    'common.save': 'Save',
+    'common.delete': 'Delete',
+    'common.retry': 'Retry',
+    'error.noStorage.title': 'Configuration error',
+    'error.noStorage.message': 'No KV namespace is bound. The binding must be named <b>MY_KV</b> (or bind a D1 database named <b>DB</b>).',
+    'error.csrf.title': 'Request rejected',
+    'error.csrf.message': 'CSRF check failed. Reload the page and try again.',
+    'error.forbidden.title': 'Permission denied',
+    'error.forbidden.message': 'This account is a viewer and cannot perform this action.',
+    'error.notFound.title': 'Not found',
+    'error.monitorNotFound': 'The monitor does not exist.',
+    'setup.title': 'Initial setup',
+    'setup.intro': 'Create an administrator account to protect your data.',
+    'setup.username': 'Admin username...',
+    'setup.submit': 'Save',
+    'login.title': 'Sign in',
+    'login.intro': 'Enter your username and password to open the dashboard.',
+    'login.username': 'Username...',
+    'login.password': 'Password...',
+    'login.submit': 'Unlock',
+    'login.locked': 'Too many attempts. Try again in {minutes} minutes.',
+    'login.failed': 'Wrong username or password ({left} attempts left)',
+    'auth.invalidUsername': 'Username must be 2-32 letters, digits or _.-',
+    'auth.passwordTooShort': 'Password is too short',
+    'token.created': 'Token "{name}" has been created. Copy it now: it cannot be shown again after you leave this page.',
+    'token.back': 'Back to dashboard',
+    'status.allUp': 'All systems operational',
+    'status.someMaintenance': 'Some services are under maintenance',
+    'status.someDown': 'Some services are experiencing problems',
+    'status.UP': 'Operational',
+    'status.DOWN': 'Down',
+    'status.MAINTENANCE': 'Maintenance',
+    'status.PENDING': 'Pending',
+    'status.lastCheck': 'Last check',
+    'status.empty': 'No public monitors yet',
+    'status.unnamed': 'Service #{n}',
+    'account.title': 'Account security',
+    'account.currentPassword': 'Current password',
+    'account.newPassword': 'New password',
+    'account.confirmPassword': 'Confirm new password',
+    'account.changePassword': 'Change password',
+    'account.currentSession': '[current]',
+    'account.logoutAll': 'Sign out all sessions',
+    'account.language': 'Language',
+    'account.languageAuto': 'Browser default',
+    'account.savePreferences': 'Save preferences',
+    'account.preferencesSaved': 'Preferences saved',
+    'account.wrongPassword': 'Current password is incorrect',
+    'account.newPasswordTooShort': 'New password is too short',
+    'account.passwordMismatch': 'The new passwords do not match',
+    'account.passwordChanged': 'Password changed; other sessions have been signed out',
+    'users.title': 'Users',
+    'users.current': '(you)',
+    'users.edit': 'Change role / reset password',
+    'users.role': 'Role',
+    'users.newPasswordOptional': 'New password (leave blank to keep)',
+    'users.username': 'Username',
+    'users.password': 'Password',
+    'users.create': 'Create user',
+    'users.saved': 'Saved user {username}',
+    'users.keepOneAdmin': 'At least one administrator is required',
+    'users.cannotDeleteSelf': 'You cannot delete the account you are signed in with',
+    'role.viewer': 'Viewer',
+    'role.admin': 'Administrator',
+    'import.title': 'Import configuration',
+    'import.modeMerge': 'merge',
+    'import.modeReplace': 'replace',
+    'import.skippedType': 'Skipped unsupported type: {type}',
+    'import.unchanged': 'Unchanged monitors: {count}',
+    'import.confirm': 'Confirm import',
+    'import.paste': 'Paste exported JSON (files exported by this tool and Uptime Kuma backups are supported)',
+    'import.upload': 'Or upload a file',
+    'import.merge': 'Merge (keep existing monitors)',
+    'import.replace': 'Replace (delete monitors not in the file)',
+    'import.preview': 'Preview changes',
+    'import.done': 'Import complete: {added} added, {updated} updated, {removed} removed, {settings} settings changed',
+    'content.title': 'Content history',
+    'content.watchOff': ' (content watch is off)',
+    'content.empty': 'No snapshots yet. Enable content watch and run a check to create one.',
+    'content.truncated': ' (snapshot too long, truncated)',
+    'content.baseline': 'Baseline',
+    'content.viewSnapshot': 'View snapshot',
+    'dash.users': 'Users',
+    'dash.logout': 'Sign out',
+    'dash.runNow': 'Run checks now',
+    'settings.retryCount': 'Retries on failure',
+    'settings.retryDelay': 'Retry delay (s)',
+    'settings.backoff': 'Backoff',
+    'settings.backoffFixed': 'Fixed delay',
+    'settings.backoffExponential': 'Exponential + jitter',
+    'settings.maxBackoff': 'Max backoff (s)',
+    'settings.concurrency': 'Concurrency',
+    'settings.timeout': 'Request timeout (s)',
+    'settings.subrequestBudget': 'Subrequest budget',
+    'settings.timeBudget': 'Time budget (s)',
+    'settings.hourlyRetention': 'Hourly stats retention (h)',
+    'settings.dailyRetention': 'Daily stats retention (days)',
+    'settings.timezone': 'Display timezone (IANA)',
+    'settings.logRetention': 'Runs kept in log',
+    'settings.invalidTimezone': 'Invalid timezone: {timezone}',
+    'settings.dnsResolver': 'DNS-over-HTTPS resolver',
+    'settings.invalidResolver': 'The DoH resolver must be an https:// URL: {url}',
+    'notify.channels': 'Notification channels (enabled: {channels})',
+    'notify.none': 'none',
+    'notify.test': 'Test {channel}',
+    'notify.alertAfter': 'Alert after N consecutive failures',
+    'notify.renotify': 'Repeat alerts while down every (minutes, 0 = never)',
+    'notify.webhookUrl': 'Webhook URL (POST JSON)',
+    'notify.webhookTemplate': 'Webhook body template (supports {{event}} {{url}} {{status}} {{error}} {{failures}} {{time}})',
+    'notify.pushUrls': 'Push URLs (one per line; ntfy: the topic URL, Bark: use {{title}}/{{message}} placeholders)',
+    'notify.emailApiUrl': 'Email API URL (Resend compatible)',
+    'notify.emailApiKey': 'Email API key',
+    'notify.emailFrom': 'From',
+    'notify.emailTo': 'To (comma-separated)',
+    'notify.save': 'Save notification settings',
+    'notify.notConfigured': 'Channel {channel} is not configured',
+    'notify.sent': '{channel}: sent',
+    'notify.failed': '{channel}: failed - {error}',
+    'notify.separator': '; ',
+    'urls.cron': 'Cron {cron} · fires about every {minutes} minutes',
+    'urls.noCron': 'No cron trigger seen yet. Add one in the Worker settings.',
+    'urls.search': 'Search name / URL / group',
+    'urls.allTags': 'All tags',
+    'urls.filter': 'Filter',
+    'urls.clear': 'Clear',
+    'urls.selectAll': 'Select all',
+    'urls.addPlaceholder': 'https://example.com (paste several lines to add in bulk)',
+    'urls.add': 'Add',
+    'urls.advanced': 'Advanced options (method / headers / assertions)',
+    'urls.paused': 'Paused',
+    'urls.maintenance': 'Maintenance',
+    'urls.contentHistory': 'View content history',
+    'urls.contentChangedAt': 'Content changed {time}',
+    'urls.watching': 'Watching content',
+    'urls.pushEvery': 'Heartbeat every {period} min · {grace} min grace',
+    'urls.lastPing': 'last ping {time}',
+    'urls.noPing': 'no ping yet',
+    'urls.edit': 'Edit',
+    'urls.ungrouped': 'Ungrouped',
+    'urls.groupPaused': 'Group paused',
+    'urls.resumeGroup': 'Resume group',
+    'urls.pauseGroup': 'Pause group',
+    'urls.noMatch': 'No monitors match the filter',
+    'urls.empty': 'No URLs yet. Add one below.',
+    'urls.saveFailed': 'Save failed: {error}',
+    'urls.addedSkipped': 'Added {added}; skipped {skipped} invalid or duplicate URLs: {urls}',
+    'validate.pushToken': 'push.token may only contain letters, digits, - and _ and must be at least 8 characters',
+    'validate.pushTokenTaken': 'push.token is already used by another monitor',
+    'validate.tcpUrl': 'A TCP check url must look like tcp://host:port: {url}',
+    'validate.dnsUrl': 'A DNS check url must look like dns://domain: {url}',
+    'validate.urlRequired': 'url is required',
+    'validate.urlScheme': 'url must start with http:// or https://',
+    'validate.urlInvalid': 'Invalid url: {url}',
+    'validate.method': 'Unsupported method: {method}',
+    'validate.headBody': 'HEAD responses have no body, so keyword and regex assertions cannot be used',
+    'validate.headers': 'headers must be an object',
+    'validate.headerValues': 'Header values must be strings',
+    'validate.tags': 'tags must be an array of strings',
+    'validate.string': '{field} must be a string',
+    'validate.watchExpr': 'Content watching needs a selector, path or regex',
+    'validate.regex': 'Invalid regex: {pattern}',
+    'validate.stepsEmpty': 'Scenario steps must be a non-empty JSON array',
+    'validate.variableName': 'Variable names may only contain letters, digits and underscores',
+    'validate.extractSource': 'Unsupported extract source: {from}',
+    'validate.extractExpr': 'Variable {name} has no extract expression',
+    'bulk.run': 'Run now',
+    'bulk.pause': 'Pause',
+    'bulk.resume': 'Resume',
+    'bulk.delete': 'Delete',
+    'bulk.submit': 'Apply to selected',
+    'bulk.noneSelected': 'Select some monitors first',
+    'bulk.paused': 'Paused {count} monitors',
+    'bulk.resumed': 'Resumed {count} monitors',
+    'bulk.deleted': 'Deleted {count} monitors',
+    'bulk.ran': 'Ran {count} monitors',
+    'bulk.allPaused': 'All selected monitors are paused',
+    'bulk.unknown': 'Unknown action: {action}',
+    'maint.defaultName': 'Maintenance window',
+    'maint.active': 'In progress',
+    'maint.weekly': ' (every {days} {start}-{end}, {timezone})',
+    'maint.daySeparator': ', ',
+    'maint.modeMark': 'checks run and are marked',
+    'maint.modeSkip': 'checks skipped',
+    'maint.allMonitors': 'all monitors',
+    'maint.endOccurrence': 'End this occurrence',
+    'maint.endNow': 'End now',
+    'maint.empty': 'No ongoing or scheduled maintenance',
+    'maint.add': 'Add maintenance window',
+    'maint.name': 'Name',
+    'maint.namePlaceholder': 'e.g. Backend release',
+    'maint.checks': 'Checks during maintenance',
+    'maint.optionSkip': 'Skip checks',
+    'maint.optionMark': 'Run checks and mark results as maintenance',
+    'maint.once': 'One-off',
+    'maint.weeklyOption': 'Weekly',
+    'maint.start': 'Start (one-off)',
+    'maint.end': 'End (one-off)',
+    'maint.days': 'Days (weekly)',
+    'maint.dailyStart': 'Daily start (weekly)',
+    'maint.dailyEnd': 'Daily end (weekly; earlier than start means past midnight)',
+    'maint.scopeAll': 'All monitors',
+    'maint.scopeSelected': 'Only the monitors selected below',
+    'maint.timezoneNote': 'Times are in the {timezone} timezone.',
+    'maint.added': 'Maintenance window added',
+    'maint.notSaved': 'Maintenance window not saved: {error}',
+    'maint.error.noDays': 'Select at least one day',
+    'maint.error.timeFormat': 'Times must be HH:MM',
+    'maint.error.missingRange': 'Enter both a start and an end time',
+    'maint.error.endBeforeStart': 'The end must be later than the start',
+    'maint.error.noMonitors': 'Select at least one monitor',
+    'statusPage.summary': 'Public status page ({state})',
+    'statusPage.enabledAt': 'enabled: {link}',
+    'statusPage.disabled': 'disabled',
+    'statusPage.enable': 'Enable the public status page (JSON: /{slug}.json)',
+    'statusPage.slug': 'Path',
+    'statusPage.title': 'Page title',
+    'statusPage.monitors': 'Monitors to show (set a display name when editing; unnamed monitors are shown by number)',
+    'statusPage.invalidSlug': 'Status page path is invalid or reserved: {slug}',
+    'backup.export': 'Export',
+    'backup.exportSecrets': 'Export (with secrets)',
+    'backup.import': 'Import',
+    'api.lastUsed': 'last used {time}',
+    'api.neverUsed': 'never used',
+    'api.revoke': 'Revoke',
+    'api.empty': 'No API tokens yet. Create one to manage monitors through /api/v1.',
+    'api.namePlaceholder': 'Token name, e.g. ci-deploy',
+    'api.create': 'Create',
+    'logs.empty': 'No runs logged yet',
+    'logs.title': 'Run logs',
+    'logs.viewAll': 'Browse all logs',
+    'logs.filterUrl': 'Filter by URL...',
+    'logs.allStatuses': 'All statuses',
+    'logs.status.success': 'Success',
+    'logs.status.fail': 'Failed',
+    'logs.allTriggers': 'All triggers',
+    'logs.from': 'From date',
+    'logs.to': 'To date',
+    'logs.summary': '{total} runs (keeping up to {retention})',
+    'logs.noMatch': 'No runs match the filter',
+    'logs.page': 'Page {page} of {pages}',
+    'logs.prev': 'Previous',
+    'logs.next': 'Next',
+    'logs.details': 'Details',
+    'incident.title': 'Incidents',
+    'incident.viewAll': 'All incidents',
+    'incident.noneOpen': 'No open incidents',
+    'incident.noMatch': 'No incidents match the filter',
+    'incident.summary': '{total} incidents',
+    'incident.allMonitors': 'All monitors',
+    'incident.allStatuses': 'All statuses',
+    'incident.status.open': 'Open',
+    'incident.status.acknowledged': 'Acknowledged',
+    'incident.status.resolved': 'Resolved',
+    'incident.started': 'Started {time}',
+    'incident.lasted': 'Lasted {duration}',
+    'incident.ongoing': 'Ongoing for {duration}',
+    'incident.failedChecks': '{count} failed checks',
+    'incident.firstError': 'First error: {error}',
+    'incident.lastError': 'Last error: {error}',
+    'incident.ack': 'Acknowledge',
+    'incident.ackedBy': 'Acknowledged by {user} at {time}',
+    'incident.notes': 'Notes ({count})',
+    'incident.notePlaceholder': 'Findings, cause, actions taken...',
+    'incident.addNote': 'Add note',
+    'logs.contentChanged': 'Content changed',
+    'field.name': 'Display name (used on the status page)',
+    'field.namePlaceholder': 'e.g. Homepage',
+    'field.group': 'Group',
+    'field.groupPlaceholder': 'e.g. Project A',
+    'field.tags': 'Tags (comma-separated)',
+    'field.paused': 'Pause this monitor',
+    'field.type': 'Check type',
+    'field.typeHttp': 'Single HTTP request',
+    'field.typeScenario': 'Multi-step scenario (ignores the method, headers and body below)',
+    'field.typePush': 'Push heartbeat (your job calls the heartbeat URL; no URL needed)',
+    'field.typeTcp': 'TCP port (URL is tcp://host:port; the body is sent as a probe and the keyword / regex check the reply)',
+    'field.typeDns': 'DNS resolution (URL is dns://name, resolved through the DoH resolver in settings)',
+    'field.dnsType': 'DNS record type',
+    'field.dnsExpected': 'Expected DNS value (leave empty to only require a record)',
+    'field.dnsExpectedPlaceholder': 'e.g. 1.2.3.4 or 10 mail.example.com',
+    'field.pushPeriod': 'Heartbeat period (min)',
+    'field.pushGrace': 'Grace time (min)',
+    'field.pushUrl': 'Heartbeat URL (status=down marks the job failed, msg adds a message, ping is the duration in ms)',
+    'field.pushRegenerate': 'Regenerate heartbeat URL (the old one stops working immediately)',
+    'field.steps': 'Scenario steps (JSON array; steps without a url use the URL above, {{name}} refers to values extracted by earlier steps, cookies are carried over)',
+    'field.method': 'Method',
+    'field.statusCodes': 'Expected status codes',
+    'field.statusCodesPlaceholder': 'Default 200-299, e.g. 200-299,401',
+    'field.interval': 'Interval (minutes, 0 = every trigger)',
+    'field.jitter': 'Random jitter (minutes)',
+    'field.headers': 'Headers (one Key: Value per line)',
+    'field.body': 'Body',
+    'field.keyword': 'Must contain keyword',
+    'field.regex': 'Fail if this regex matches',
+    'field.maxLatency': 'Max latency (ms)',
+    'field.watch': 'Content change watch',
+    'field.watchExpr': 'Selector / JSON path / regex',
+    'field.watchExprPlaceholder': 'e.g. .price, $.data.version',
+    'field.watchIgnore': 'Volatile content to ignore (one regex per line, e.g. timestamps)',
+    'field.watchNotify': 'Notify when the content changes',
+    'watch.off': 'Off',
+    'watch.body': 'Whole body',
+    'watch.selector': 'CSS selector',
+    'watch.json': 'JSON path',
+    'watch.regex': 'Regex match',
+    'schedule.every': 'Every {minutes} min',
+    'schedule.jitter': ' (jitter ≤{minutes} min)',
+    'schedule.everyTrigger': 'Every trigger',
+    'schedule.nextTrigger': 'at the next trigger',
+    'schedule.next': 'Next run: {time}',
+    'schedule.warn': '⚠ Interval is shorter than the {minutes}-minute cron cadence; the cron cadence applies'
+  }
+};
+
+// 取出文案并替换 {name} 占位符；vars 中没有的占位符（如模板说明里的 {{url}}）原样保留
+function translate(locale, key, vars = {}) {
+  const text = LOCALES[locale]?.[key] ?? LOCALES[DEFAULT_LOCALE][key] ?? key;
+  if (typeof text !== 'string') return text;
+  return text.replace(/\{(\w+)\}/g, (match, name) => name in vars ? vars[name] : match);
+}
+
+// 账户设置中选择的语言优先，其次按 Accept-Language 的权重依次匹配
+function resolveLocale(request, user) {
+  if (SUPPORTED_LOCALES.includes(user?.locale)) return user.locale;
+  const accepted = (request.headers.get("Accept-Language") || '').split(',')
+    .map(part => {
+      const [tag, ...params] = part.trim().split(';');
+      const q = params.map(p => p.trim()).find(p => p.startsWith('q='));
+      return { lang: tag.toLowerCase().split('-')[0], q: q ? parseFloat(q.slice(2)) : 1 };
+    })
+    .filter(x => x.lang && x.q > 0)
+    .sort((a, b) => b.q - a.q);
+  for (const { lang } of accepted) {
+    const match = SUPPORTED_LOCALES.find(l => l.toLowerCase().split('-')[0] === lang);
+    if (match) return match;
+  }
+  return DEFAULT_LOCALE;
+}
+
+function isValidTimeZone(timeZone) {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+function formatDateTime(ms, locale = DEFAULT_LOCALE, timeZone = DEFAULT_SETTINGS.timezone) {
+  return new Date(ms).toLocaleString(locale, { timeZone });
+}
+
+// 时长只显示最大的两个单位，如「2小时5分」「2h 5m」
+function formatDuration(ms, locale = DEFAULT_LOCALE) {
+  const units = translate(locale, 'durationUnits');
+  const values = [Math.floor(ms / DAY_MS), Math.floor(ms / 3600000) % 24, Math.floor(ms / 60000) % 60, Math.floor(ms / 1000) % 60];
+  const first = values.findIndex(v => v > 0);
+  if (first < 0) return `0${units[3]}`;
+  return values.slice(first, first + 2)
+    .map((v, i) => i === 0 || v > 0 ? `${v}${units[first + i]}` : '')
+    .filter(Boolean)
+    .join(translate(locale, 'durationSeparator'));
+}
+
+// 日志的 timestamp 为 ISO 时间；旧版本保存的是格式化后的北京时间字符串，此时改用写入时的 id（毫秒时间戳）
+function getLogTime(log) {
+  return /^\d{4}-\d{2}-\d{2}T/.test(log.timestamp || '') ? Date.parse(log.timestamp) : log.id;
 }
 
 // --- UI 渲染核心 ---
 
-function renderHTML({ type, error = "", title = "", message = "", data = {} }) {
+function renderHTML({ type, error = "", title = "", message = "", csrf = "", locale = DEFAULT_LOCALE, timeZone = DEFAULT_SETTINGS.timezone, data = {} }) {
   let content = "";
   let pageTitle = "";
+  const t = (key, vars) => translate(locale, key, vars);
+  const formatTime = (ms) => formatDateTime(ms, locale, timeZone);
 
   const ICONS = {
     alert: '<i class="ri-alarm-warning-fill ri-3x"></i>',
@@ -224,16 +3765,112 @@ function renderHTML({ type, error = "", title = "", message = "", data = {} }) {
     delete: '<i class="ri-delete-bin-line"></i>',
     run: '<i class="ri-play-fill ri-xl"></i>',
     settings: '<i class="ri-settings-4-fill"></i>',
-    save: '<i class="ri-save-3-line"></i>'
+    save: '<i class="ri-save-3-line"></i>',
+    edit: '<i class="ri-edit-line"></i>',
+    bell: '<i class="ri-notification-3-line"></i>',
+    token: '<i class="ri-key-2-line"></i>',
+    user: '<i class="ri-user-settings-line"></i>',
+    team: '<i class="ri-team-line"></i>',
+    download: '<i class="ri-download-2-line"></i>',
+    folder: '<i class="ri-folder-3-line"></i>',
+    pause: '<i class="ri-pause-line"></i>',
+    stop: '<i class="ri-stop-circle-line"></i>',
+    history: '<i class="ri-history-line"></i>',
+    search: '<i class="ri-search-line"></i>',
+    upload: '<i class="ri-upload-2-line"></i>',
+    logout: '<i class="ri-logout-box-r-line"></i>',
+    send: '<i class="ri-send-plane-line"></i>',
+    check: '<i class="ri-check-line"></i>',
+    alertLine: '<i class="ri-alarm-warning-line"></i>'
+  };
+
+  // 失败检测的完整错误信息：错误、未通过的断言与出错的步骤
+  const renderErrorDetails = (r) => {
+    const lines = [
+      r.error,
+      r.watchError,
+      ...(r.assertions || []).filter(a => !a.ok).map(a => `✘ ${a.name}${a.detail ? ': ' + a.detail : ''}`),
+      ...(r.steps || []).map((st, i) => st.ok ? '' : `${i + 1}. ${st.name} ${st.method} ${st.url} [${st.status || 'ERR'}]`)
+    ].filter(Boolean);
+    return lines.length ? `
+                <details class="log-more">
+                  <summary>${t('logs.details')}</summary>
+                  <pre>${escapeHTML(lines.join('\n'))}</pre>
+                </details>` : '';
+  };
+
+  // 故障条目，控制台与故障页共用；back 为操作后返回的页面
+  const INCIDENT_DOTS = { open: 'down', acknowledged: 'maint', resolved: 'up' };
+  const renderIncident = (i, back) => {
+    const status = getIncidentStatus(i);
+    return `
+          <div class="url-item incident-item">
+            <div class="url-main">
+              <span class="state-dot ${INCIDENT_DOTS[status]}" title="${status.toUpperCase()}"></span>
+              <span class="url-text">
+                <b>${escapeHTML(i.name || i.url)}</b> <span class="tag-chip">${t(`incident.status.${status}`)}</span>
+                <br><small>${t('incident.started', { time: formatTime(i.startedAt) })} · ${i.endedAt ? t('incident.lasted', { duration: formatDuration(i.duration, locale) }) : t('incident.ongoing', { duration: formatDuration(Date.now() - i.startedAt, locale) })} · ${t('incident.failedChecks', { count: i.failedChecks })}</small>
+                <br><small>${t('incident.firstError', { error: escapeHTML(i.firstError) })}</small>
+                ${i.lastError !== i.firstError ? `<br><small>${t('incident.lastError', { error: escapeHTML(i.lastError) })}</small>` : ''}
+                ${i.ack ? `<br><small>${t('incident.ackedBy', { user: escapeHTML(i.ack.by), time: formatTime(i.ack.at) })}</small>` : ''}
+              </span>
+              ${status === 'open' ? `
+              <form action="/ack-incident" method="POST" style="margin:0;">
+                <input type="hidden" name="id" value="${escapeHTML(i.id)}">
+                <input type="hidden" name="back" value="${back}">
+                <button type="submit" class="mini-btn">${ICONS.check} ${t('incident.ack')}</button>
+              </form>` : ''}
+            </div>
+            <details class="monitor-edit">
+              <summary>${ICONS.edit} ${t('incident.notes', { count: i.notes.length })}</summary>
+              ${i.notes.map(n => `<div class="incident-note"><small>${escapeHTML(n.by)} · ${formatTime(n.at)}</small><div>${escapeHTML(n.text)}</div></div>`).join('')}
+              <form action="/incident-note" method="POST" class="monitor-form">
+                <input type="hidden" name="id" value="${escapeHTML(i.id)}">
+                <input type="hidden" name="back" value="${back}">
+                <textarea name="note" rows="2" maxlength="${INCIDENT_NOTE_LIMIT}" placeholder="${t('incident.notePlaceholder')}" required></textarea>
+                <button type="submit" class="mini-btn">${ICONS.save} ${t('incident.addNote')}</button>
+              </form>
+            </details>
+          </div>`;
   };
 
+  // 单次执行的日志条目，控制台与日志页共用
+  const renderLogEntry = (log) => `
+          <div class="log-entry fade-in">
+            <div class="log-header">
+              <span class="log-time">${formatTime(getLogTime(log))}${log.duration !== undefined ? ` · ${(log.duration / 1000).toFixed(1)}s · ${log.subrequests} req` : ''}</span>
+              <span class="log-badge ${log.trigger === 'CRON' ? 'badge-cron' : log.trigger === 'API' ? 'badge-api' : 'badge-manual'}">${log.trigger || 'MANUAL'}</span>
+            </div>
+            <div class="log-details">
+              ${log.results.map(r => `
+                <div class="log-row ${r.maintenance ? 'maintenance' : r.ok ? 'success' : r.skipped ? 'skipped' : 'fail'}">
+                  <span class="status">[${r.skipped ? r.maintenance ? 'MAINT' : 'SKIP' : r.status || (r.ok ? 'OK' : 'ERR')}]</span>
+                  <span class="url">${r.method && r.method !== 'GET' ? r.method + ' ' : ''}${escapeHTML(r.url)}</span>
+                  <span class="attempts" title="Attempts">${r.attempts > 1 ? '(Try:'+r.attempts+')' : ''}</span>
+                  <span class="time">${r.time ? r.time + 'ms' : ''} ${r.error ? ' - ' + escapeHTML(r.error) : ''}${r.watchError ? ' - ' + escapeHTML(r.watchError) : ''}</span>
+                  ${r.changed ? `<a class="tag-chip" href="/content?id=${encodeURIComponent(r.id)}">${t('logs.contentChanged')}</a>` : ''}
+                </div>
+                ${r.steps ? `
+                <div class="log-assertions">
+                  ${r.steps.map((st, i) => `<span class="${st.ok ? 'pass' : 'fail'}" title="${escapeHTML(st.method + ' ' + st.url)}">${i + 1}. ${escapeHTML(st.name)} [${st.status || 'ERR'}]${st.time !== undefined ? ' ' + st.time + 'ms' : ''}</span>`).join('')}
+                </div>` : ''}
+                ${r.assertions && r.assertions.length > 1 ? `
+                <div class="log-assertions">
+                  ${r.assertions.map(a => `<span class="${a.ok ? 'pass' : 'fail'}">${a.ok ? '✔' : '✘'} ${a.name}</span>`).join('')}
+                </div>` : ''}
+                ${getResultStatus(r) === 'fail' ? renderErrorDetails(r) : ''}
+              `).join('')}
+            </div>
+          </div>
+        `;
+
   if (type === 'error') {
     pageTitle = "Error";
     content = `
       <div class="icon-box bounce">${ICONS.alert}</div>
       <h1 class="glitch" data-text="${title}">${title}</h1>
       <p>${message}</p>
-      <button onclick="location.reload()" class="neo-btn">重试</button>
+      <button onclick="location.reload()" class="neo-btn">${t('common.retry')}</button>
     `;
   } 
   else if (type === 'setup' || type === 'login') {
@@ -241,126 +3878,812 @@ function renderHTML({ type, error = "", title = "", message = "", data = {} }) {
     pageTitle = isSetup ? "Setup" : "Login";
     content = `
       <div class="icon-box float">${isSetup ? ICONS.key : ICONS.lock}</div>
-      <h1 class="glitch" data-text="${isSetup ? '初始化设置' : '身份验证'}">${isSetup ? '初始化设置' : '身份验证'}</h1>
-      <p>${isSetup ? '请设置管理员密码以保护您的数据。' : '请输入密码进入控制台。'}</p>
+      <h1 class="glitch" data-text="${t(`${type}.title`)}">${t(`${type}.title`)}</h1>
+      <p>${t(`${type}.intro`)}</p>
       <form action="/${type}" method="POST">
+        <div class="input-group stacked">
+          <input type="text" name="username" placeholder="${t(isSetup ? 'setup.username' : 'login.username')}" required autocomplete="username">
+          <div class="input-shadow"></div>
+        </div>
         <div class="input-group">
-          <input type="password" name="password" placeholder="输入密码..." required autocomplete="off">
+          <input type="password" name="password" placeholder="${t('login.password')}" required autocomplete="off">
           <div class="input-shadow"></div>
         </div>
         ${error ? `<div class="error-msg shake">${error}</div>` : ''}
         <button type="submit" class="neo-btn ${isSetup ? 'primary' : 'secondary'}">
-          ${isSetup ? '保存设置' : '解锁进入'} <i class="ri-arrow-right-line"></i>
+          ${t(`${type}.submit`)} <i class="ri-arrow-right-line"></i>
         </button>
       </form>
     `;
   } 
+  else if (type === 'token') {
+    pageTitle = "API Token";
+    content = `
+      <div class="icon-box float">${ICONS.key}</div>
+      <h1>API Token</h1>
+      <p>${t('token.created', { name: escapeHTML(title) })}</p>
+      <div class="token-box">${escapeHTML(message)}</div>
+      <a href="/" class="neo-btn primary">${t('token.back')} <i class="ri-arrow-right-line"></i></a>
+    `;
+  }
+  else if (type === 'status') {
+    pageTitle = escapeHTML(title);
+    const allUp = data.status === 'OPERATIONAL';
+    content = `
+      <div class="dashboard-header">
+        <div class="header-title"><i class="ri-pulse-line ri-xl"></i> ${escapeHTML(title)}</div>
+      </div>
+      <div class="notice ${allUp ? 'ok' : data.status === 'MAINTENANCE' ? '' : 'bad'}">${t(allUp ? 'status.allUp' : data.status === 'MAINTENANCE' ? 'status.someMaintenance' : 'status.someDown')}</div>
+      <div class="url-list">
+        ${data.monitors.length > 0 ? data.monitors.map(m => `
+          <div class="url-item">
+            <div class="url-main">
+              <span class="state-dot ${m.status === 'DOWN' ? 'down' : m.status === 'UP' ? 'up' : m.status === 'MAINTENANCE' ? 'maint' : ''}"></span>
+              <span class="url-text">${escapeHTML(m.name)}</span>
+              <span>${t(`status.${['UP', 'DOWN', 'MAINTENANCE'].includes(m.status) ? m.status : 'PENDING'}`)}</span>
+            </div>
+            <div class="uptime-row">
+              <div class="uptime-nums">
+                <span>24h ${formatUptime({ uptime: m.uptime24h })}</span>
+                <span>30d ${formatUptime({ uptime: m.uptime30d })}</span>
+                <span>${t('status.lastCheck')} ${m.lastCheckAt ? formatTime(m.lastCheckAt) : '--'}</span>
+              </div>
+              <div class="spark">${m.history.map(u => `<i class="${u === null ? '' : u === 100 ? 'up' : u === 0 ? 'down' : 'partial'}" style="height:24px"></i>`).join('')}</div>
+            </div>
+          </div>`).join('') : `<div class="empty-state">${t('status.empty')}</div>`}
+      </div>
+    `;
+  }
+  else if (type === 'logs') {
+    pageTitle = "Logs";
+    const { filter } = data;
+    // 保留筛选条件的链接参数，用于分页与导出
+    const query = (extra) => new URLSearchParams(Object.entries({ ...filter, ...extra }).filter(([, v]) => v)).toString();
+    content = `
+      <div class="dashboard-header">
+        <div class="header-title">${ICONS.history} ${t('logs.title')}</div>
+        <a href="/" class="mini-btn outline">${t('common.back')}</a>
+      </div>
+
+      <section class="section-box log-area">
+        <div class="section-label">LOGS</div>
+        <form action="/logs" method="GET" class="filter-bar">
+          <input type="search" name="url" value="${escapeHTML(filter.url)}" placeholder="${t('logs.filterUrl')}" list="log-urls">
+          <datalist id="log-urls">${data.monitors.map(m => `<option value="${escapeHTML(m.url)}">${escapeHTML(m.name || '')}</option>`).join('')}</datalist>
+          <select name="status">
+            <option value="">${t('logs.allStatuses')}</option>
+            ${LOG_STATUSES.map(x => `<option value="${x}" ${filter.status === x ? 'selected' : ''}>${t(`logs.status.${x}`)}</option>`).join('')}
+          </select>
+          <select name="trigger">
+            <option value="">${t('logs.allTriggers')}</option>
+            ${LOG_TRIGGERS.map(x => `<option value="${x}" ${filter.trigger === x ? 'selected' : ''}>${x}</option>`).join('')}
+          </select>
+          <input type="date" name="from" value="${filter.from}" title="${t('logs.from')}">
+          <input type="date" name="to" value="${filter.to}" title="${t('logs.to')}">
+          <button type="submit" class="mini-btn">${ICONS.search} ${t('urls.filter')}</button>
+          ${query({}) ? `<a href="/logs" class="mini-btn">${t('urls.clear')}</a>` : ''}
+        </form>
+        <div class="test-notify">
+          <span>${t('logs.summary', { total: data.total, retention: data.retention })}</span>
+          <a href="/logs/export?${query({ format: 'csv' })}" class="mini-btn">${ICONS.download} CSV</a>
+          <a href="/logs/export?${query({ format: 'json' })}" class="mini-btn">${ICONS.download} JSON</a>
+        </div>
+        <div class="terminal-window full">
+          ${data.logs.length > 0 ? data.logs.map(renderLogEntry).join('') : `<div class="empty-state">${t('logs.noMatch')}</div>`}
+        </div>
+        ${data.pages > 1 ? `
+        <div class="pager">
+          ${data.page > 1 ? `<a href="/logs?${query({ page: data.page - 1 })}" class="mini-btn">← ${t('logs.prev')}</a>` : ''}
+          <span>${t('logs.page', { page: data.page, pages: data.pages })}</span>
+          ${data.page < data.pages ? `<a href="/logs?${query({ page: data.page + 1 })}" class="mini-btn">${t('logs.next')} →</a>` : ''}
+        </div>` : ''}
+      </section>
+    `;
+  }
+  else if (type === 'incidents') {
+    pageTitle = "Incidents";
+    const { filter } = data;
+    const query = (extra) => new URLSearchParams(Object.entries({ ...filter, ...extra }).filter(([, v]) => v)).toString();
+    content = `
+      <div class="dashboard-header">
+        <div class="header-title">${ICONS.alertLine} ${t('incident.title')}</div>
+        <a href="/" class="mini-btn outline">${t('common.back')}</a>
+      </div>
+
+      <section class="section-box incident-area">
+        <div class="section-label">INCIDENTS</div>
+        <form action="/incidents" method="GET" class="filter-bar">
+          <select name="monitor">
+            <option value="">${t('incident.allMonitors')}</option>
+            ${data.monitors.map(m => `<option value="${escapeHTML(m.id)}" ${filter.monitor === m.id ? 'selected' : ''}>${escapeHTML(m.name || m.url)}</option>`).join('')}
+          </select>
+          <select name="status">
+            <option value="">${t('incident.allStatuses')}</option>
+            ${INCIDENT_STATUSES.map(x => `<option value="${x}" ${filter.status === x ? 'selected' : ''}>${t(`incident.status.${x}`)}</option>`).join('')}
+          </select>
+          <input type="date" name="from" value="${filter.from}" title="${t('logs.from')}">
+          <input type="date" name="to" value="${filter.to}" title="${t('logs.to')}">
+          <button type="submit" class="mini-btn">${ICONS.search} ${t('urls.filter')}</button>
+          ${query({}) ? `<a href="/incidents" class="mini-btn">${t('urls.clear')}</a>` : ''}
+        </form>
+        <div class="test-notify"><span>${t('incident.summary', { total: data.total })}</span></div>
+        ${data.incidents.length > 0
+          ? `<div class="url-list">${data.incidents.map(i => renderIncident(i, '/incidents')).join('')}</div>`
+          : `<div class="empty-state">${t('incident.noMatch')}</div>`}
+        ${data.pages > 1 ? `
+        <div class="pager">
+          ${data.page > 1 ? `<a href="/incidents?${query({ page: data.page - 1 })}" class="mini-btn">← ${t('logs.prev')}</a>` : ''}
+          <span>${t('logs.page', { page: data.page, pages: data.pages })}</span>
+          ${data.page < data.pages ? `<a href="/incidents?${query({ page: data.page + 1 })}" class="mini-btn">${t('logs.next')} →</a>` : ''}
+        </div>` : ''}
+      </section>
+    `;
+  }
+  else if (type === 'account') {
+    pageTitle = "Account";
+    content = `
+      <div class="dashboard-header">
+        <div class="header-title">${ICONS.user} ${t('account.title')}</div>
+        <a href="/" class="mini-btn outline">${t('common.back')}</a>
+      </div>
+      ${data.notice ? `<div class="notice">${escapeHTML(data.notice)}</div>` : ''}
+
+      <section class="section-box settings-area">
+        <div class="section-label">PASSWORD</div>
+        <form action="/change-password" method="POST" class="monitor-form">
+          <div>
+            <label>${t('account.currentPassword')}</label>
+            <input type="password" name="current" required autocomplete="current-password">
+          </div>
+          <div class="field-row">
+            <div>
+              <label>${t('account.newPassword')}</label>
+              <input type="password" name="password" required minlength="4" autocomplete="new-password">
+            </div>
+            <div>
+              <label>${t('account.confirmPassword')}</label>
+              <input type="password" name="confirm" required minlength="4" autocomplete="new-password">
+            </div>
+          </div>
+          ${error ? `<div class="error-msg shake">${error}</div>` : ''}
+          <button type="submit" class="neo-btn accent compact-btn">${ICONS.save} ${t('account.changePassword')}</button>
+        </form>
+      </section>
+
+      <section class="section-box notify-area">
+        <div class="section-label">PREFERENCES</div>
+        <form action="/save-preferences" method="POST" class="monitor-form">
+          <div>
+            <label>${t('account.language')}</label>
+            <select name="locale">
+              <option value="">${t('account.languageAuto')}</option>
+              ${SUPPORTED_LOCALES.map(l => `<option value="${l}" ${data.user.locale === l ? 'selected' : ''}>${LOCALES[l]['locale.name']}</option>`).join('')}
+            </select>
+          </div>
+          <button type="submit" class="neo-btn accent compact-btn">${ICONS.save} ${t('account.savePreferences')}</button>
+        </form>
+      </section>
+
+      <section class="section-box url-area">
+        <div class="section-label">SESSIONS</div>
+        <div class="url-list">
+          ${data.sessions.map(s => `
+            <div class="url-item">
+              <div class="url-main">
+                <span class="url-text">${s.id === data.currentId ? `<b>${t('account.currentSession')}</b> ` : ''}${s.createdAt ? formatTime(s.createdAt) : '--'} · ${escapeHTML(s.ip || '')}<br><small>${escapeHTML(s.ua || '')}</small></span>
+              </div>
+            </div>`).join('')}
+        </div>
+        <form action="/logout-all" method="POST">
+          <button type="submit" class="neo-btn secondary">${ICONS.logout} ${t('account.logoutAll')}</button>
+        </form>
+      </section>
+    `;
+  }
+  else if (type === 'users') {
+    pageTitle = "Users";
+    content = `
+      <div class="dashboard-header">
+        <div class="header-title">${ICONS.team} ${t('users.title')}</div>
+        <a href="/" class="mini-btn outline">${t('common.back')}</a>
+      </div>
+      ${data.notice ? `<div class="notice">${escapeHTML(data.notice)}</div>` : ''}
+      ${error ? `<div class="error-msg shake">${error}</div>` : ''}
+
+      <section class="section-box url-area">
+        <div class="section-label">USERS</div>
+        <div class="url-list">
+          ${data.users.map(u => `
+            <div class="url-item">
+              <div class="url-main">
+                <span class="method-tag">${u.role === 'admin' ? 'ADMIN' : 'VIEWER'}</span>
+                <span class="url-text">${escapeHTML(u.username)}${u.username === data.user.username ? ` <small>${t('users.current')}</small>` : ''}</span>
+                ${u.username !== data.user.username ? `
+                <form action="/delete-user" method="POST" style="margin:0;">
+                  <input type="hidden" name="username" value="${escapeHTML(u.username)}">
+                  <button type="submit" class="mini-btn delete" title="${t('common.delete')}">${ICONS.delete}</button>
+                </form>` : ''}
+              </div>
+              <details class="monitor-edit">
+                <summary>${ICONS.edit} ${t('users.edit')}</summary>
+                <form action="/save-user" method="POST" class="monitor-form">
+                  <input type="hidden" name="username" value="${escapeHTML(u.username)}">
+                  <div class="field-row">
+                    <div>
+                      <label>${t('users.role')}</label>
+                      <select name="role">
+                        <option value="viewer" ${u.role === 'viewer' ? 'selected' : ''}>${t('role.viewer')}</option>
+                        <option value="admin" ${u.role === 'admin' ? 'selected' : ''}>${t('role.admin')}</option>
+                      </select>
+                    </div>
+                    <div>
+                      <label>${t('users.newPasswordOptional')}</label>
+                      <input type="password" name="password" autocomplete="new-password">
+                    </div>
+                  </div>
+                  <button type="submit" class="neo-btn accent compact-btn">${ICONS.save} ${t('common.save')}</button>
+                </form>
+              </details>
+            </div>`).join('')}
+        </div>
+      </section>
+
+      <section class="section-box settings-area">
+        <div class="section-label">NEW USER</div>
+        <form action="/save-user" method="POST" class="monitor-form">
+          <div class="field-row">
+            <div>
+              <label>${t('users.username')}</label>
+              <input type="text" name="username" required pattern="[A-Za-z0-9_.-]{2,32}" autocomplete="off">
+            </div>
+            <div>
+              <label>${t('users.password')}</label>
+              <input type="password" name="password" required minlength="4" autocomplete="new-password">
+            </div>
+            <div>
+              <label>${t('users.role')}</label>
+              <select name="role">
+                <option value="viewer">${t('role.viewer')}</option>
+                <option value="admin">${t('role.admin')}</option>
+              </select>
+            </div>
+          </div>
+          <button type="submit" class="neo-btn secondary compact-btn">${ICONS.add} ${t('users.create')}</button>
+        </form>
+      </section>
+    `;
+  }
+  else if (type === 'import') {
+    pageTitle = "Import";
+    const plan = data.plan;
+    const monitorLabel = m => escapeHTML(m.name ? `${m.name} (${m.method} ${m.url})` : `${m.method} ${m.url}`);
+    content = `
+      <div class="dashboard-header">
+        <div class="header-title">${ICONS.upload} ${t('import.title')}</div>
+        <a href="/" class="mini-btn outline">${t('common.back')}</a>
+      </div>
+      ${data.errors.length > 0 ? `<div class="error-msg shake">${data.errors.map(escapeHTML).join('<br>')}</div>` : ''}
+
+      ${plan ? `
+      <section class="section-box status-area">
+        <div class="section-label">PREVIEW · ${escapeHTML(data.parsed.source)} · ${t(data.mode === 'replace' ? 'import.modeReplace' : 'import.modeMerge')}</div>
+        <div class="diff-list">
+          ${plan.changes.added.map(m => `<div class="diff-add">+ ${monitorLabel(m)}</div>`).join('')}
+          ${plan.changes.updated.map(m => `<div class="diff-update">~ ${monitorLabel(m)}</div>`).join('')}
+          ${plan.changes.removed.map(m => `<div class="diff-remove">- ${monitorLabel(m)}</div>`).join('')}
+          ${plan.changes.settings.map(p => `<div class="diff-update">~ settings.${escapeHTML(p)}</div>`).join('')}
+          ${data.parsed.skipped.map(x => `<div class="diff-skip">${t('import.skippedType', { type: escapeHTML(x) })}</div>`).join('')}
+          <div>${t('import.unchanged', { count: plan.changes.unchanged })}</div>
+        </div>
+        <form action="/import" method="POST">
+          <textarea name="data" hidden>${escapeHTML(data.text)}</textarea>
+          <input type="hidden" name="mode" value="${data.mode}">
+          <input type="hidden" name="action" value="apply">
+          <button type="submit" class="neo-btn primary">${ICONS.save} ${t('import.confirm')}</button>
+        </form>
+      </section>` : ''}
+
+      <section class="section-box settings-area">
+        <div class="section-label">IMPORT</div>
+        <form action="/import" method="POST" enctype="multipart/form-data" class="monitor-form">
+          <div>
+            <label>${t('import.paste')}</label>
+            <textarea name="data" rows="8">${escapeHTML(data.text)}</textarea>
+          </div>
+          <div>
+            <label>${t('import.upload')}</label>
+            <input type="file" name="file" accept="application/json,.json">
+          </div>
+          <div class="field-row">
+            <label class="check-item"><input type="radio" name="mode" value="merge" ${data.mode !== 'replace' ? 'checked' : ''}> ${t('import.merge')}</label>
+            <label class="check-item"><input type="radio" name="mode" value="replace" ${data.mode === 'replace' ? 'checked' : ''}> ${t('import.replace')}</label>
+          </div>
+          <input type="hidden" name="action" value="preview">
+          <button type="submit" class="neo-btn accent compact-btn">${ICONS.upload} ${t('import.preview')}</button>
+        </form>
+      </section>
+    `;
+  }
+  else if (type === 'content') {
+    pageTitle = "Content";
+    const { monitor, history } = data;
+    // 只展示变化行及其上下各 2 行
+    const renderDiff = (before, after) => {
+      const lines = diffLines(before, after);
+      const near = (i) => lines.slice(Math.max(0, i - 2), i + 3).some(l => l.op !== ' ');
+      let gap = false;
+      return lines.map((l, i) => {
+        if (near(i)) {
+          gap = false;
+          return `<div class="diff-line ${l.op === '+' ? 'add' : l.op === '-' ? 'del' : ''}">${l.op} ${escapeHTML(l.line)}</div>`;
+        }
+        if (gap) return '';
+        gap = true;
+        return `<div class="diff-line gap">…</div>`;
+      }).join('');
+    };
+    content = `
+      <div class="dashboard-header">
+        <div class="header-title">${ICONS.history} ${t('content.title')}</div>
+        <a href="/" class="mini-btn outline">${t('common.back')}</a>
+      </div>
+      <div class="notice">${escapeHTML(monitor.name || monitor.url)}${monitor.watch.mode === 'off' ? t('content.watchOff') : ''}</div>
+      ${history.length === 0 ? `<div class="empty-state">${t('content.empty')}</div>` : history.map((h, i) => `
+      <section class="section-box settings-area">
+        <div class="section-label">${i === 0 ? 'CURRENT' : 'V' + (history.length - i)}</div>
+        <p><b>${formatTime(h.at)}</b>${h.truncated ? t('content.truncated') : ''}</p>
+        ${history[i + 1] ? `<div class="diff-box">${renderDiff(history[i + 1].text, h.text)}</div>` : `<small>${t('content.baseline')}</small>`}
+        <details class="monitor-edit">
+          <summary>${t('content.viewSnapshot')}</summary>
+          <pre class="diff-box">${escapeHTML(h.text)}</pre>
+        </details>
+      </section>`).join('')}
+    `;
+  }
   else if (type === 'dashboard') {
     pageTitle = "Dashboard";
+    const isAdmin = data.user.role === 'admin';
     
-    // URL 列表
-    const urlListHtml = data.urls && data.urls.length > 0 
-      ? data.urls.map(u => `
-          <div class="url-item slide-in">
-            <span class="url-text">${u}</span>
-            <form action="/delete-url" method="POST" style="margin:0;">
-              <input type="hidden" name="url" value="${u}">
-              <button type="submit" class="mini-btn delete" title="删除">${ICONS.delete}</button>
-            </form>
-          </div>`).join('')
-      : `<div class="empty-state">暂无 URL，请在下方添加。</div>`;
+    // 按搜索词与标签筛选后按分组展示
+    const { q, tag } = data.filter;
+    const keyword = q.toLowerCase();
+    const visible = data.urls.filter(m =>
+      (!tag || m.tags.includes(tag)) &&
+      (!keyword || `${m.name} ${m.url} ${m.group}`.toLowerCase().includes(keyword)));
+    const allTags = [...new Set(data.urls.flatMap(m => m.tags))].sort();
+    const groups = new Map();
+    visible.forEach(m => groups.set(m.group, [...(groups.get(m.group) || []), m]));
+    const filterQuery = new URLSearchParams(Object.entries(data.filter).filter(([, v]) => v)).toString();
+
+    // 暂停与维护优先于最近一次检测状态展示
+    const displayStatus = m => isMonitorPaused(m, data.settings) ? 'PAUSED'
+      : findActiveMaintenance(data.maintenance, m.id) ? 'MAINTENANCE'
+      : data.state[m.id]?.status || 'PENDING';
+    const DOT_CLASSES = { UP: 'up', DOWN: 'down', MAINTENANCE: 'maint' };
+
+    // 推送监控显示心跳周期与最近一次心跳，其余显示目标 URL
+    const monitorTarget = m => m.type !== 'push' ? escapeHTML(m.url)
+      : `${t('urls.pushEvery', { period: m.push.period, grace: m.push.grace })} · ${data.heartbeats[m.id] ? t('urls.lastPing', { time: formatTime(data.heartbeats[m.id].at) }) : t('urls.noPing')}`;
+
+    // URL 列表（每项附带可展开的编辑表单）
+    const renderMonitorItem = m => `
+          <div class="url-item slide-in ${isMonitorPaused(m, data.settings) ? 'paused' : ''}">
+            <div class="url-main">
+              ${isAdmin ? `<input type="checkbox" name="ids" value="${escapeHTML(m.id)}" form="bulk-form" class="bulk-check">` : ''}
+              <span class="state-dot ${DOT_CLASSES[displayStatus(m)] || ''}" title="${displayStatus(m)}"></span>
+              <span class="method-tag">${m.type === 'scenario' ? `FLOW×${m.steps.length}` : escapeHTML(m.method)}</span>
+              <span class="url-text">${m.name ? `<b>${escapeHTML(m.name)}</b><br><small>${monitorTarget(m)}</small>` : monitorTarget(m)}
+                ${isMonitorPaused(m, data.settings) ? `<span class="tag-chip paused-chip">${t('urls.paused')}</span>` : ''}
+                ${displayStatus(m) === 'MAINTENANCE' ? `<span class="tag-chip maint-chip">${t('urls.maintenance')}</span>` : ''}
+                ${m.watch.mode !== 'off' ? `<a class="tag-chip" href="/content?id=${encodeURIComponent(m.id)}" title="${t('urls.contentHistory')}">${data.contentHashes[m.id]?.changedAt ? t('urls.contentChangedAt', { time: formatTime(data.contentHashes[m.id].changedAt) }) : t('urls.watching')}</a>` : ''}
+                ${m.tags.map(x => `<a class="tag-chip" href="/?tag=${encodeURIComponent(x)}">#${escapeHTML(x)}</a>`).join('')}
+              </span>
+              ${isAdmin ? `
+              <form action="/delete-url" method="POST" style="margin:0;">
+                <input type="hidden" name="id" value="${escapeHTML(m.id)}">
+                <button type="submit" class="mini-btn delete" title="${t('common.delete')}">${ICONS.delete}</button>
+              </form>` : ''}
+            </div>
+            ${renderUptime(getUptimeSummary(data.stats[m.id]))}
+            ${renderScheduleInfo(m, data.schedule[m.id], data.cronMeta, t, formatTime)}
+            ${isAdmin ? `
+            <details class="monitor-edit">
+              <summary>${ICONS.edit} ${t('urls.edit')}</summary>
+              <form action="/add-url" method="POST" class="monitor-form">
+                <input type="hidden" name="id" value="${escapeHTML(m.id)}">
+                ${m.type === 'push' ? '' : `
+                <div class="input-group compact">
+                  <input type="url" name="url" value="${escapeHTML(m.url)}" required autocomplete="off">
+                  <div class="input-shadow"></div>
+                </div>`}
+                ${renderMonitorFields(t, m, data.origin)}
+                <button type="submit" class="neo-btn secondary compact-btn">${ICONS.save} ${t('common.save')}</button>
+              </form>
+            </details>` : ''}
+          </div>`;
+
+    const urlListHtml = visible.length > 0
+      ? [...groups].map(([group, list]) => {
+          const groupPaused = !!group && data.settings.pausedGroups.includes(group);
+          return `
+          <details class="group-box" open>
+            <summary>${ICONS.folder} ${group ? escapeHTML(group) : t('urls.ungrouped')} <small>(${list.length})</small>${groupPaused ? ` <span class="tag-chip paused-chip">${t('urls.groupPaused')}</span>` : ''}</summary>
+            ${isAdmin && group ? `
+            <form action="/toggle-group" method="POST" class="group-toggle">
+              <input type="hidden" name="group" value="${escapeHTML(group)}">
+              <input type="hidden" name="paused" value="${groupPaused ? '0' : '1'}">
+              <button type="submit" class="mini-btn">${groupPaused ? `${ICONS.run} ${t('urls.resumeGroup')}` : `${ICONS.pause} ${t('urls.pauseGroup')}`}</button>
+            </form>` : ''}
+            <div class="url-list">${list.map(renderMonitorItem).join('')}</div>
+          </details>`;
+        }).join('')
+      : data.urls.length > 0
+        ? `<div class="empty-state">${t('urls.noMatch')}</div>`
+        : `<div class="empty-state">${t('urls.empty')}</div>`;
+
+    // 维护窗口：只展示生效中与即将开始的时段
+    const windows = data.maintenance
+      .map(w => ({ w, slot: getMaintenanceWindow(w) }))
+      .filter(x => x.slot)
+      .sort((a, b) => a.slot.start - b.slot.start);
+    const maintenanceHtml = windows.length > 0
+      ? `<div class="url-list">${windows.map(({ w, slot }) => `
+          <div class="url-item">
+            <div class="url-main">
+              <span class="state-dot ${slot.active ? 'maint' : ''}" title="${slot.active ? 'ACTIVE' : 'UPCOMING'}"></span>
+              <span class="url-text">
+                <b>${escapeHTML(w.name || t('maint.defaultName'))}</b> ${slot.active ? `<span class="tag-chip maint-chip">${t('maint.active')}</span>` : ''}
+                <br><small>${formatTime(slot.start)} ~ ${formatTime(slot.end)}${w.recurring ? t('maint.weekly', { days: w.days.map(d => t('weekdays')[d]).join(t('maint.daySeparator')), start: w.startTime, end: w.endTime, timezone: w.timeZone }) : ''}</small>
+                <br><small>${t(w.mode === 'mark' ? 'maint.modeMark' : 'maint.modeSkip')} · ${w.monitors.length === 0 ? t('maint.allMonitors') : escapeHTML(data.urls.filter(m => w.monitors.includes(m.id)).map(m => m.name || m.url).join(t('maint.daySeparator')))}</small>
+              </span>
+              ${isAdmin ? `
+              ${slot.active ? `
+              <form action="/end-maintenance" method="POST" style="margin:0;">
+                <input type="hidden" name="id" value="${escapeHTML(w.id)}">
+                <button type="submit" class="mini-btn" title="${t(w.recurring ? 'maint.endOccurrence' : 'maint.endNow')}">${ICONS.stop}</button>
+              </form>` : ''}
+              <form action="/delete-maintenance" method="POST" style="margin:0;">
+                <input type="hidden" name="id" value="${escapeHTML(w.id)}">
+                <button type="submit" class="mini-btn delete" title="${t('common.delete')}">${ICONS.delete}</button>
+              </form>` : ''}
+            </div>
+          </div>`).join('')}</div>`
+      : `<div class="empty-state">${t('maint.empty')}</div>`;
 
     // 日志展示 (只取前5条)
     const displayLogs = data.logs ? data.logs.slice(0, 5) : [];
     const logsHtml = displayLogs.length > 0
-      ? displayLogs.map(log => `
-          <div class="log-entry fade-in">
-            <div class="log-header">
-              <span class="log-time">${log.timestamp}</span>
-              <span class="log-badge ${log.trigger === 'CRON' ? 'badge-cron' : 'badge-manual'}">${log.trigger || 'MANUAL'}</span>
-            </div>
-            <div class="log-details">
-              ${log.results.map(r => `
-                <div class="log-row ${r.ok ? 'success' : 'fail'}">
-                  <span class="status">[${r.status || 'ERR'}]</span>
-                  <span class="url">${r.url}</span>
-                  <span class="attempts" title="Attempts">${r.attempts > 1 ? '(Try:'+r.attempts+')' : ''}</span>
-                  <span class="time">${r.time ? r.time + 'ms' : ''} ${r.error ? ' - ' + r.error : ''}</span>
-                </div>
-              `).join('')}
-            </div>
-          </div>
-        `).join('')
-      : `<div class="empty-state">暂无执行日志</div>`;
+      ? displayLogs.map(renderLogEntry).join('')
+      : `<div class="empty-state">${t('logs.empty')}</div>`;
 
     content = `
       <div class="dashboard-header">
         <div class="header-title">
            <i class="ri-command-fill ri-xl"></i> Keep Alive v2
         </div>
-        <a href="/logout" class="mini-btn outline">退出</a>
+        <div class="header-actions">
+          ${isAdmin ? `<a href="/users" class="mini-btn outline">${ICONS.team} ${t('dash.users')}</a>` : ''}
+          <a href="/account" class="mini-btn outline" title="${data.user.role}">${ICONS.user} ${escapeHTML(data.user.username)}</a>
+          <form action="/logout" method="POST" style="margin:0;">
+            <button type="submit" class="mini-btn outline">${t('dash.logout')}</button>
+          </form>
+        </div>
       </div>
+      ${data.notice ? `<div class="notice">${escapeHTML(data.notice)}</div>` : ''}
 
       <!-- 1. 手动执行 -->
       <section class="section-box execution-area">
         <div class="section-label">TRIGGER</div>
         <form action="/execute" method="POST">
             <button type="submit" class="neo-btn primary huge-btn">
-              ${ICONS.run} 立即执行任务
+              ${ICONS.run} ${t('dash.runNow')}
             </button>
         </form>
       </section>
 
+      ${isAdmin ? `
       <!-- 2. 系统设置 (新增) -->
       <section class="section-box settings-area">
         <div class="section-label">SETTINGS</div>
         <form action="/save-settings" method="POST" class="settings-form">
           <div class="setting-item">
-            <label>失败重试次数 (次)</label>
+            <label>${t('settings.retryCount')}</label>
             <div class="input-group compact">
               <input type="number" name="retryCount" value="${data.settings.retryCount}" min="0" required>
               <div class="input-shadow"></div>
             </div>
           </div>
           <div class="setting-item">
-            <label>重试延迟 (秒)</label>
+            <label>${t('settings.retryDelay')}</label>
             <div class="input-group compact">
               <input type="number" name="retryDelay" value="${data.settings.retryDelay}" min="1" required>
               <div class="input-shadow"></div>
             </div>
           </div>
-          <button type="submit" class="neo-btn accent compact-btn">${ICONS.save} 保存</button>
+          <div class="setting-item">
+            <label>${t('settings.backoff')}</label>
+            <select name="backoff">
+              <option value="fixed" ${data.settings.run.backoff === 'fixed' ? 'selected' : ''}>${t('settings.backoffFixed')}</option>
+              <option value="exponential" ${data.settings.run.backoff === 'exponential' ? 'selected' : ''}>${t('settings.backoffExponential')}</option>
+            </select>
+          </div>
+          <div class="setting-item">
+            <label>${t('settings.maxBackoff')}</label>
+            <div class="input-group compact">
+              <input type="number" name="maxBackoffSeconds" value="${data.settings.run.maxBackoffSeconds}" min="1" required>
+              <div class="input-shadow"></div>
+            </div>
+          </div>
+          <div class="setting-item">
+            <label>${t('settings.concurrency')}</label>
+            <div class="input-group compact">
+              <input type="number" name="concurrency" value="${data.settings.run.concurrency}" min="1" required>
+              <div class="input-shadow"></div>
+            </div>
+          </div>
+          <div class="setting-item">
+            <label>${t('settings.timeout')}</label>
+            <div class="input-group compact">
+              <input type="number" name="timeoutSeconds" value="${data.settings.run.timeoutSeconds}" min="1" required>
+              <div class="input-shadow"></div>
+            </div>
+          </div>
+          <div class="setting-item">
+            <label>${t('settings.subrequestBudget')}</label>
+            <div class="input-group compact">
+              <input type="number" name="subrequestBudget" value="${data.settings.run.subrequestBudget}" min="1" required>
+              <div class="input-shadow"></div>
+            </div>
+          </div>
+          <div class="setting-item">
+            <label>${t('settings.timeBudget')}</label>
+            <div class="input-group compact">
+              <input type="number" name="timeBudgetSeconds" value="${data.settings.run.timeBudgetSeconds}" min="1" required>
+              <div class="input-shadow"></div>
+            </div>
+          </div>
+          <div class="setting-item">
+            <label>${t('settings.hourlyRetention')}</label>
+            <div class="input-group compact">
+              <input type="number" name="hourlyRetention" value="${data.settings.stats.hourlyRetention}" min="24" required>
+              <div class="input-shadow"></div>
+            </div>
+          </div>
+          <div class="setting-item">
+            <label>${t('settings.dailyRetention')}</label>
+            <div class="input-group compact">
+              <input type="number" name="dailyRetention" value="${data.settings.stats.dailyRetention}" min="1" required>
+              <div class="input-shadow"></div>
+            </div>
+          </div>
+          <div class="setting-item">
+            <label>${t('settings.logRetention')}</label>
+            <div class="input-group compact">
+              <input type="number" name="logRetention" value="${data.settings.logRetention}" min="1" max="${MAX_LOG_RETENTION}" required>
+              <div class="input-shadow"></div>
+            </div>
+          </div>
+          <div class="setting-item">
+            <label>${t('settings.timezone')}</label>
+            <div class="input-group compact">
+              <input type="text" name="timezone" value="${escapeHTML(data.settings.timezone)}" placeholder="Asia/Shanghai" required>
+              <div class="input-shadow"></div>
+            </div>
+          </div>
+          <div class="setting-item">
+            <label>${t('settings.dnsResolver')}</label>
+            <div class="input-group compact">
+              <input type="url" name="dnsResolver" value="${escapeHTML(data.settings.dnsResolver)}" placeholder="${DEFAULT_SETTINGS.dnsResolver}" required>
+              <div class="input-shadow"></div>
+            </div>
+          </div>
+          <button type="submit" class="neo-btn accent compact-btn">${ICONS.save} ${t('common.save')}</button>
+        </form>
+      </section>
+
+      <!-- 3. 告警通知 -->
+      <section class="section-box notify-area">
+        <div class="section-label">NOTIFY</div>
+        <details class="monitor-edit">
+          <summary>${ICONS.bell} ${t('notify.channels', { channels: getEnabledChannels(data.settings.notify).join(', ') || t('notify.none') })}</summary>
+          ${renderNotifyForm(t, data.settings.notify)}
+        </details>
+        <form action="/test-notify" method="POST" class="test-notify">
+          ${['webhook', 'telegram', 'push', 'email'].map(c => `
+            <button type="submit" name="channel" value="${c}" class="mini-btn">${ICONS.send} ${t('notify.test', { channel: c })}</button>`).join('')}
         </form>
       </section>
+      ` : ''}
 
-      <!-- 3. URL 管理 -->
+      <!-- 4. URL 管理 -->
       <section class="section-box url-area">
         <div class="section-label">URLS</div>
+        ${data.cronMeta.cadenceMinutes ? `<div class="cron-info">${t('urls.cron', { cron: escapeHTML(data.cronMeta.cron || ''), minutes: data.cronMeta.cadenceMinutes })}</div>` : `<div class="cron-info">${t('urls.noCron')}</div>`}
+        <form action="/" method="GET" class="filter-bar">
+          <input type="search" name="q" value="${escapeHTML(q)}" placeholder="${t('urls.search')}">
+          <select name="tag">
+            <option value="">${t('urls.allTags')}</option>
+            ${allTags.map(x => `<option value="${escapeHTML(x)}" ${x === tag ? 'selected' : ''}>#${escapeHTML(x)}</option>`).join('')}
+          </select>
+          <button type="submit" class="mini-btn">${ICONS.search} ${t('urls.filter')}</button>
+          ${q || tag ? `<a href="/" class="mini-btn">${t('urls.clear')}</a>` : ''}
+        </form>
+        ${urlListHtml}
+        ${isAdmin && visible.length > 0 ? `
+        <form action="/bulk" method="POST" id="bulk-form" class="bulk-bar">
+          <input type="hidden" name="back" value="${filterQuery ? '/?' + escapeHTML(filterQuery) : '/'}">
+          <label class="check-item"><input type="checkbox" onclick="document.querySelectorAll('.bulk-check').forEach(c => c.checked = this.checked)"> ${t('urls.selectAll')}</label>
+          <select name="action">
+            ${['run', 'pause', 'resume', 'delete'].map(a => `<option value="${a}">${t(`bulk.${a}`)}</option>`).join('')}
+          </select>
+          <button type="submit" class="mini-btn">${t('bulk.submit')}</button>
+        </form>` : ''}
+        ${isAdmin ? `
+        <form action="/add-url" method="POST" class="monitor-form">
+          <div class="add-form">
+            <div class="input-group compact">
+              <textarea name="url" rows="1" placeholder="${t('urls.addPlaceholder')}" autocomplete="off"></textarea>
+              <div class="input-shadow"></div>
+            </div>
+            <button type="submit" class="neo-btn secondary compact-btn">${ICONS.add} ${t('urls.add')}</button>
+          </div>
+          <details class="monitor-edit">
+            <summary>${ICONS.settings} ${t('urls.advanced')}</summary>
+            ${renderMonitorFields(t)}
+          </details>
+        </form>` : ''}
+      </section>
+
+      <!-- 5. 故障事件（未恢复的） -->
+      <section class="section-box incident-area">
+        <div class="section-label">INCIDENTS</div>
+        ${data.incidents.length > 0
+          ? `<div class="url-list">${data.incidents.map(i => renderIncident(i, '/')).join('')}</div>`
+          : `<div class="empty-state">${t('incident.noneOpen')}</div>`}
+        <div class="pager"><a href="/incidents" class="mini-btn">${ICONS.history} ${t('incident.viewAll')}</a></div>
+      </section>
+
+      <!-- 6. 维护窗口 -->
+      <section class="section-box maint-area">
+        <div class="section-label">MAINTENANCE</div>
+        ${maintenanceHtml}
+        ${isAdmin ? `
+        <details class="monitor-edit">
+          <summary>${ICONS.add} ${t('maint.add')}</summary>
+          <form action="/save-maintenance" method="POST" class="monitor-form">
+            <div class="field-row">
+              <div>
+                <label>${t('maint.name')}</label>
+                <input type="text" name="name" placeholder="${t('maint.namePlaceholder')}">
+              </div>
+              <div>
+                <label>${t('maint.checks')}</label>
+                <select name="mode">
+                  <option value="skip">${t('maint.optionSkip')}</option>
+                  <option value="mark">${t('maint.optionMark')}</option>
+                </select>
+              </div>
+            </div>
+            <div class="field-row">
+              <label class="check-item"><input type="radio" name="recurring" value="once" checked> ${t('maint.once')}</label>
+              <label class="check-item"><input type="radio" name="recurring" value="weekly"> ${t('maint.weeklyOption')}</label>
+            </div>
+            <div class="field-row">
+              <div>
+                <label>${t('maint.start')}</label>
+                <input type="datetime-local" name="start">
+              </div>
+              <div>
+                <label>${t('maint.end')}</label>
+                <input type="datetime-local" name="end">
+              </div>
+            </div>
+            <div>
+              <label>${t('maint.days')}</label>
+              ${t('weekdays').map((d, i) => `<label class="check-item inline"><input type="checkbox" name="days" value="${i}"> ${d}</label>`).join('')}
+            </div>
+            <div class="field-row">
+              <div>
+                <label>${t('maint.dailyStart')}</label>
+                <input type="time" name="startTime" value="02:00">
+              </div>
+              <div>
+                <label>${t('maint.dailyEnd')}</label>
+                <input type="time" name="endTime" value="04:00">
+              </div>
+            </div>
+            <div class="field-row">
+              <label class="check-item"><input type="radio" name="scope" value="all" checked> ${t('maint.scopeAll')}</label>
+              <label class="check-item"><input type="radio" name="scope" value="selected"> ${t('maint.scopeSelected')}</label>
+            </div>
+            ${data.urls.map(m => `
+              <label class="check-item"><input type="checkbox" name="monitors" value="${escapeHTML(m.id)}"> ${escapeHTML(m.name || m.url)}</label>`).join('')}
+            <small>${t('maint.timezoneNote', { timezone: escapeHTML(timeZone) })}</small>
+            <button type="submit" class="neo-btn accent compact-btn">${ICONS.save} ${t('common.save')}</button>
+          </form>
+        </details>` : ''}
+      </section>
+
+      ${isAdmin ? `
+      <!-- 7. 公开状态页 -->
+      <section class="section-box status-area">
+        <div class="section-label">STATUS PAGE</div>
+        <details class="monitor-edit">
+          <summary>${ICONS.settings} ${t('statusPage.summary', { state: data.settings.statusPage.enabled ? t('statusPage.enabledAt', { link: `<a href="/${escapeHTML(data.settings.statusPage.slug)}" target="_blank">/${escapeHTML(data.settings.statusPage.slug)}</a>` }) : t('statusPage.disabled') })}</summary>
+          <form action="/save-status-page" method="POST" class="monitor-form">
+            <label class="check-item"><input type="checkbox" name="enabled" ${data.settings.statusPage.enabled ? 'checked' : ''}> ${t('statusPage.enable', { slug: escapeHTML(data.settings.statusPage.slug) })}</label>
+            <div class="field-row">
+              <div>
+                <label>${t('statusPage.slug')}</label>
+                <input type="text" name="slug" value="${escapeHTML(data.settings.statusPage.slug)}" pattern="[a-z0-9][a-z0-9-]*" required>
+              </div>
+              <div>
+                <label>${t('statusPage.title')}</label>
+                <input type="text" name="title" value="${escapeHTML(data.settings.statusPage.title)}">
+              </div>
+            </div>
+            <label>${t('statusPage.monitors')}</label>
+            ${data.urls.map(m => `
+              <label class="check-item"><input type="checkbox" name="monitors" value="${escapeHTML(m.id)}" ${data.settings.statusPage.monitors.includes(m.id) ? 'checked' : ''}> ${escapeHTML(m.name || m.url)}</label>`).join('')}
+            <button type="submit" class="neo-btn accent compact-btn">${ICONS.save} ${t('common.save')}</button>
+          </form>
+        </details>
+      </section>
+
+      <!-- 8. 备份 -->
+      <section class="section-box backup-area">
+        <div class="section-label">BACKUP</div>
+        <div class="test-notify">
+          <a href="/export" class="mini-btn">${ICONS.download} ${t('backup.export')}</a>
+          <a href="/export?secrets=1" class="mini-btn">${ICONS.download} ${t('backup.exportSecrets')}</a>
+          <a href="/import" class="mini-btn">${ICONS.upload} ${t('backup.import')}</a>
+        </div>
+      </section>
+
+      <!-- 9. API Token -->
+      <section class="section-box api-area">
+        <div class="section-label">API</div>
         <div class="url-list">
-          ${urlListHtml}
+          ${data.tokens.length > 0 ? data.tokens.map(token => `
+            <div class="url-item">
+              <div class="url-main">
+                <span class="url-text">${ICONS.token} ${escapeHTML(token.name)} <small>(${escapeHTML(token.prefix)}…, ${token.lastUsedAt ? t('api.lastUsed', { time: formatTime(token.lastUsedAt) }) : t('api.neverUsed')})</small></span>
+                <form action="/revoke-token" method="POST" style="margin:0;">
+                  <input type="hidden" name="id" value="${escapeHTML(token.id)}">
+                  <button type="submit" class="mini-btn delete" title="${t('api.revoke')}">${ICONS.delete}</button>
+                </form>
+              </div>
+            </div>`).join('') : `<div class="empty-state">${t('api.empty')}</div>`}
         </div>
-        <form action="/add-url" method="POST" class="add-form">
+        <form action="/create-token" method="POST" class="add-form">
           <div class="input-group compact">
-            <input type="url" name="url" placeholder="https://example.com" required autocomplete="off">
+            <input type="text" name="name" placeholder="${t('api.namePlaceholder')}" required autocomplete="off">
             <div class="input-shadow"></div>
           </div>
-          <button type="submit" class="neo-btn secondary compact-btn">${ICONS.add} 添加</button>
+          <button type="submit" class="neo-btn secondary compact-btn">${ICONS.add} ${t('api.create')}</button>
         </form>
       </section>
+      ` : ''}
 
-      <!-- 4. 日志区域 (显示最新的5条) -->
+      <!-- 10. 日志区域 (显示最新的5条) -->
       <section class="section-box log-area">
         <div class="section-label">LOGS (LATEST 5)</div>
         <div class="terminal-window">
           ${logsHtml}
         </div>
+        <div class="pager"><a href="/logs" class="mini-btn">${ICONS.history} ${t('logs.viewAll')}</a></div>
       </section>
     `;
   }
 
+  // 为所有 POST 表单注入 CSRF Token
+  if (csrf) {
+    content = content.replace(/<form\b[^>]*method="POST"[^>]*>/g, tag => `${tag}<input type="hidden" name="_csrf" value="${csrf}">`);
+  }
+
   return `
 <!DOCTYPE html>
-<html lang="zh-CN">
+<html lang="${locale}">
 <head>
   <meta charset="UTF-8">
   <meta name="viewport" content="width=device-width, initial-scale=1.0">
@@ -404,7 +4727,7 @@ function renderHTML({ type, error = "", title = "", message = "", data = {} }) {
     /* Container */
     .container {
       width: 95%;
-      max-width: ${type === 'dashboard' ? '600px' : '420px'};
+      max-width: ${['dashboard', 'status', 'account', 'users', 'import', 'content'].includes(type) ? '600px' : '420px'};
       background: var(--bg);
       border: var(--border) solid var(--black);
       box-shadow: 10px 10px 0 var(--black);
@@ -421,6 +4744,7 @@ function renderHTML({ type, error = "", title = "", message = "", data = {} }) {
     /* Header */
     .dashboard-header { display: flex; justify-content: space-between; align-items: center; margin-bottom: 2rem; border-bottom: 3px solid var(--black); padding-bottom: 1rem; }
     .header-title { font-weight: 900; font-size: 1.2rem; display: flex; align-items: center; gap: 10px; }
+    .header-actions { display: flex; gap: 8px; }
 
     /* Sections */
     .section-box { margin-bottom: 2rem; position: relative; border: 2px solid var(--black); padding: 1.5rem; background: #fff; }
@@ -428,20 +4752,36 @@ function renderHTML({ type, error = "", title = "", message = "", data = {} }) {
     
     .execution-area { border-color: var(--primary); box-shadow: 5px 5px 0 var(--primary); }
     .settings-area { border-color: var(--cyan); box-shadow: 5px 5px 0 var(--cyan); }
+    .notify-area { border-color: var(--accent); box-shadow: 5px 5px 0 var(--accent); }
+    .status-area { border-color: var(--success); box-shadow: 5px 5px 0 var(--success); }
+    .incident-area { border-color: var(--secondary); box-shadow: 5px 5px 0 var(--secondary); }
+    .maint-area { border-color: var(--cyan); box-shadow: 5px 5px 0 var(--cyan); }
+    .backup-area { border-color: var(--cyan); box-shadow: 5px 5px 0 var(--cyan); }
+    .diff-list { font-size: 0.85rem; margin-bottom: 1rem; display: flex; flex-direction: column; gap: 4px; word-break: break-all; }
+    .diff-add { color: var(--success); }
+    .diff-update { color: var(--primary); }
+    .diff-remove { color: var(--error); }
+    .diff-skip { color: #666; font-style: italic; }
+    .diff-box { font-family: monospace; font-size: 0.8rem; border: 2px solid var(--black); background: var(--gray); padding: 8px; overflow-x: auto; white-space: pre-wrap; word-break: break-all; max-height: 400px; overflow-y: auto; }
+    .diff-line.add { background: #dcfce7; }
+    .diff-line.del { background: #fee2e2; text-decoration: line-through; }
+    .diff-line.gap { color: #999; }
+    .api-area { border-color: var(--primary); box-shadow: 5px 5px 0 var(--primary); }
     .url-area { border-color: var(--secondary); box-shadow: 5px 5px 0 var(--secondary); }
     .log-area { border-color: var(--black); box-shadow: 5px 5px 0 var(--black); }
 
     /* Forms */
     .input-group { position: relative; width: 100%; }
     .input-group.compact { flex-grow: 1; }
-    input { width: 100%; padding: 0.8rem; font-weight: bold; border: var(--border) solid var(--black); outline: none; background: #fff; position: relative; z-index: 2; transition: 0.2s; font-family: inherit; }
-    input:focus { background: #eff6ff; transform: translate(-3px, -3px); }
+    .input-group.stacked { margin-bottom: 15px; }
+    input, .input-group textarea { width: 100%; padding: 0.8rem; font-weight: bold; border: var(--border) solid var(--black); outline: none; background: #fff; position: relative; z-index: 2; transition: 0.2s; font-family: inherit; }
+    input:focus, .input-group textarea:focus { background: #eff6ff; transform: translate(-3px, -3px); }
     .input-shadow { position: absolute; top: 0; left: 0; width: 100%; height: 100%; background: var(--black); z-index: 1; transition: 0.2s; }
-    input:focus + .input-shadow { transform: translate(6px, 6px); }
+    input:focus + .input-shadow, .input-group textarea:focus + .input-shadow { transform: translate(6px, 6px); }
 
     /* Settings specific */
-    .settings-form { display: flex; gap: 15px; align-items: flex-end; }
-    .setting-item { flex: 1; }
+    .settings-form { display: flex; flex-wrap: wrap; gap: 15px; align-items: flex-end; }
+    .setting-item { flex: 1; min-width: 110px; }
     .setting-item label { display: block; font-size: 0.8rem; font-weight: bold; margin-bottom: 5px; }
 
     /* Buttons */
@@ -461,20 +4801,79 @@ function renderHTML({ type, error = "", title = "", message = "", data = {} }) {
     /* Lists & Logs */
     .url-list { display: flex; flex-direction: column; gap: 10px; margin-bottom: 1rem; }
     .url-item { display: flex; justify-content: space-between; align-items: center; padding: 10px; border: 2px solid var(--black); background: var(--gray); font-weight: bold; font-size: 0.9rem; word-break: break-all; }
+    .url-main { display: flex; justify-content: space-between; align-items: center; gap: 10px; }
+    .url-main .url-text { flex: 1; }
     .add-form { display: flex; gap: 10px; align-items: flex-start; }
+    .state-dot { width: 12px; height: 12px; border: 2px solid var(--black); border-radius: 50%; background: var(--gray); flex-shrink: 0; }
+    .state-dot.up { background: var(--success); }
+    .state-dot.down { background: var(--error); }
+    .state-dot.maint { background: var(--cyan); }
+    .test-notify { display: flex; flex-wrap: wrap; gap: 8px; margin-top: 10px; }
+    .notice { background: var(--accent); border: 2px solid var(--black); padding: 10px; margin-bottom: 1.5rem; font-weight: bold; }
+    .notice.ok { background: var(--success); color: #fff; }
+    .notice.bad { background: var(--error); color: #fff; }
+    .check-item { display: flex; align-items: center; gap: 8px; font-weight: bold; }
+    .check-item input { width: auto; }
+    .filter-bar, .bulk-bar { display: flex; gap: 8px; align-items: center; margin-bottom: 1rem; flex-wrap: wrap; }
+    .filter-bar input { flex: 1; min-width: 150px; padding: 0.5rem; }
+    .filter-bar input[type="date"] { flex: 0 0 auto; min-width: 0; }
+    .filter-bar select, .bulk-bar select { width: auto; padding: 0.4rem; }
+    .bulk-bar { margin-top: -0.5rem; }
+    .group-box { margin-bottom: 1rem; }
+    .group-box > summary { cursor: pointer; font-weight: 900; margin-bottom: 8px; }
+    .group-toggle { margin: 0 0 8px; }
+    .url-item.paused { opacity: 0.6; }
+    .bulk-check { width: auto; flex-shrink: 0; }
+    .tag-chip { display: inline-block; margin: 2px 4px 0 0; padding: 0 6px; border: 1px solid var(--black); font-size: 0.7rem; color: var(--black); text-decoration: none; background: #fff; }
+    .paused-chip { background: var(--accent); }
+    .maint-chip { background: var(--cyan); }
+    .check-item.inline { display: inline-flex; margin-right: 8px; }
+    .method-tag { padding: 2px 6px; border: 2px solid var(--black); background: var(--accent); font-size: 0.7rem; }
+    .uptime-row { display: flex; justify-content: space-between; align-items: flex-end; gap: 10px; margin-top: 8px; font-size: 0.75rem; flex-wrap: wrap; }
+    .uptime-nums span { margin-right: 8px; }
+    .spark { display: flex; align-items: flex-end; gap: 2px; height: 24px; }
+    .spark i { width: 5px; background: var(--gray); border: 1px solid var(--black); }
+    .spark i.up { background: var(--success); }
+    .spark i.partial { background: var(--accent); }
+    .spark i.down { background: var(--error); }
+    .schedule-info { font-size: 0.75rem; margin-top: 4px; color: #444; }
+    .schedule-info .warn { color: var(--error); }
+    .cron-info { font-size: 0.75rem; margin-bottom: 10px; color: #444; }
+    .monitor-edit { margin-top: 8px; font-size: 0.85rem; }
+    .monitor-edit summary { cursor: pointer; font-weight: bold; }
+    .monitor-form { display: flex; flex-direction: column; gap: 10px; margin-top: 10px; }
+    .field-row { display: flex; gap: 10px; }
+    .field-row > * { flex: 1; }
+    .monitor-form label { display: block; font-size: 0.8rem; font-weight: bold; margin-bottom: 5px; }
+    select, textarea { width: 100%; padding: 0.6rem; font-weight: bold; border: var(--border) solid var(--black); background: #fff; font-family: inherit; outline: none; }
+    textarea { min-height: 60px; resize: vertical; }
 
     .terminal-window { background: var(--black); color: #33ff00; padding: 1rem; height: 300px; overflow-y: auto; border: 2px solid var(--black); font-size: 0.85rem; }
+    .terminal-window.full { height: auto; }
+    .incident-item { flex-direction: column; align-items: stretch; }
+    .incident-note { border-left: 3px solid var(--black); padding: 4px 8px; margin: 6px 0; font-weight: normal; white-space: pre-wrap; }
+    .log-more { margin: 2px 0 6px 20px; color: #ccc; font-size: 0.8rem; }
+    .log-more summary { cursor: pointer; }
+    .log-more pre { margin: 4px 0 0; white-space: pre-wrap; word-break: break-all; }
+    .pager { display: flex; gap: 10px; align-items: center; justify-content: center; margin-top: 1rem; }
     .log-entry { border-bottom: 1px dashed #555; padding: 10px 0; }
     .log-header { display: flex; justify-content: space-between; color: #fff; margin-bottom: 5px; opacity: 0.8; }
     .log-badge { padding: 2px 6px; border-radius: 4px; font-size: 0.7rem; color: #000; font-weight: bold; }
     .badge-cron { background: var(--accent); }
     .badge-manual { background: var(--cyan); }
+    .badge-api { background: var(--secondary); color: #fff; }
+    .token-box { padding: 1rem; border: var(--border) solid var(--black); background: var(--gray); font-weight: bold; word-break: break-all; margin-bottom: 1.5rem; user-select: all; }
     
     .log-row { display: flex; gap: 10px; margin: 2px 0; }
     .log-row.success { color: var(--success); }
     .log-row.fail { color: var(--error); }
+    .log-row.maintenance { color: var(--cyan); }
+    .log-row.skipped { color: #999; }
     .status { font-weight: bold; min-width: 40px; }
     .attempts { color: var(--accent); }
+    .log-assertions { display: flex; gap: 10px; padding-left: 50px; font-size: 0.75rem; }
+    .log-assertions .pass { color: var(--success); }
+    .log-assertions .fail { color: var(--error); }
     .empty-state { text-align: center; padding: 2rem; color: #666; font-style: italic; }
 
     /* Icons */
@@ -498,7 +4897,7 @@ function renderHTML({ type, error = "", title = "", message = "", data = {} }) {
 
     @media (max-width: 600px) {
       .container { padding: 1rem; width: 98%; }
-      .settings-form, .add-form { flex-direction: column; align-items: stretch; }
+      .settings-form, .add-form, .field-row { flex-direction: column; align-items: stretch; }
       .log-row { flex-direction: column; gap: 0; margin-bottom: 5px; }
     }
   </style>
@@ -524,3 +4923,225 @@ function renderHTML({ type, error = "", title = "", message = "", data = {} }) {
 </html>
   `;
 }
+
+// 监控项高级字段（新增与编辑表单共用）
+const SCENARIO_EXAMPLE = JSON.stringify([
+  { name: 'login', method: 'POST', url: 'https://example.com/api/login', headers: { 'Content-Type': 'application/json' }, body: '{"user":"demo","pass":"***"}', extract: [{ name: 'token', from: 'json', expr: '$.token' }] },
+  { name: 'dashboard', url: 'https://example.com/dashboard', headers: { Authorization: 'Bearer {{token}}' }, assertions: { keyword: 'Welcome' } }
+]);
+
+function renderMonitorFields(t, m = normalizeMonitor({ id: '-', url: '' }), origin = '') {
+  const headersText = Object.entries(m.headers).map(([k, v]) => `${k}: ${v}`).join('\n');
+  return `
+    <div>
+      <label>${t('field.name')}</label>
+      <input type="text" name="name" value="${escapeHTML(m.name)}" placeholder="${t('field.namePlaceholder')}">
+    </div>
+    <div class="field-row">
+      <div>
+        <label>${t('field.group')}</label>
+        <input type="text" name="group" value="${escapeHTML(m.group)}" placeholder="${t('field.groupPlaceholder')}">
+      </div>
+      <div>
+        <label>${t('field.tags')}</label>
+        <input type="text" name="tags" value="${escapeHTML(m.tags.join(', '))}" placeholder="prod, api">
+      </div>
+    </div>
+    <label class="check-item"><input type="checkbox" name="paused" ${m.paused ? 'checked' : ''}> ${t('field.paused')}</label>
+    <div>
+      <label>${t('field.type')}</label>
+      <select name="type">
+        <option value="http" ${m.type === 'http' ? 'selected' : ''}>${t('field.typeHttp')}</option>
+        <option value="scenario" ${m.type === 'scenario' ? 'selected' : ''}>${t('field.typeScenario')}</option>
+        <option value="push" ${m.type === 'push' ? 'selected' : ''}>${t('field.typePush')}</option>
+        <option value="tcp" ${m.type === 'tcp' ? 'selected' : ''}>${t('field.typeTcp')}</option>
+        <option value="dns" ${m.type === 'dns' ? 'selected' : ''}>${t('field.typeDns')}</option>
+      </select>
+    </div>
+    <div class="field-row">
+      <div>
+        <label>${t('field.dnsType')}</label>
+        <select name="dnsType">${Object.keys(DNS_RECORD_TYPES).map(x => `<option ${x === m.dns?.recordType ? 'selected' : ''}>${x}</option>`).join('')}</select>
+      </div>
+      <div>
+        <label>${t('field.dnsExpected')}</label>
+        <input type="text" name="dnsExpected" value="${escapeHTML(m.dns?.expected || '')}" placeholder="${t('field.dnsExpectedPlaceholder')}">
+      </div>
+    </div>
+    <div class="field-row">
+      <div>
+        <label>${t('field.pushPeriod')}</label>
+        <input type="number" name="pushPeriod" value="${m.push?.period || 60}" min="1">
+      </div>
+      <div>
+        <label>${t('field.pushGrace')}</label>
+        <input type="number" name="pushGrace" value="${m.push?.grace ?? 5}" min="0">
+      </div>
+    </div>
+    ${m.push ? `
+    <div>
+      <label>${t('field.pushUrl')}</label>
+      <input type="text" value="${escapeHTML(`${origin}/push/${m.push.token}?status=up&msg=OK`)}" readonly onclick="this.select()">
+      <input type="hidden" name="pushToken" value="${escapeHTML(m.push.token)}">
+      <input type="hidden" name="pushSince" value="${m.push.since}">
+      <label class="check-item"><input type="checkbox" name="pushRegenerate"> ${t('field.pushRegenerate')}</label>
+    </div>` : ''}
+    <div>
+      <label>${t('field.steps')}</label>
+      <textarea name="steps" rows="${m.type === 'scenario' ? 8 : 3}" placeholder='${escapeHTML(SCENARIO_EXAMPLE)}'>${m.steps.length > 0 ? escapeHTML(JSON.stringify(m.steps, null, 2)) : ''}</textarea>
+    </div>
+    <div class="field-row">
+      <div>
+        <label>${t('field.method')}</label>
+        <select name="method">${HTTP_METHODS.map(x => `<option ${x === m.method ? 'selected' : ''}>${x}</option>`).join('')}</select>
+      </div>
+      <div>
+        <label>${t('field.statusCodes')}</label>
+        <input type="text" name="statusCodes" value="${escapeHTML(m.assertions.statusCodes)}" placeholder="${t('field.statusCodesPlaceholder')}">
+      </div>
+    </div>
+    <div class="field-row">
+      <div>
+        <label>${t('field.interval')}</label>
+        <input type="number" name="interval" value="${m.interval || 0}" min="0">
+      </div>
+      <div>
+        <label>${t('field.jitter')}</label>
+        <input type="number" name="jitter" value="${m.jitter || 0}" min="0">
+      </div>
+    </div>
+    <div>
+      <label>${t('field.headers')}</label>
+      <textarea name="headers" placeholder="Authorization: Bearer xxx&#10;User-Agent: ${DEFAULT_USER_AGENT}">${escapeHTML(headersText)}</textarea>
+    </div>
+    <div>
+      <label>${t('field.body')}</label>
+      <textarea name="body" placeholder='{"ping": true}'>${escapeHTML(m.body)}</textarea>
+    </div>
+    <div class="field-row">
+      <div>
+        <label>${t('field.keyword')}</label>
+        <input type="text" name="keyword" value="${escapeHTML(m.assertions.keyword)}">
+      </div>
+      <div>
+        <label>${t('field.regex')}</label>
+        <input type="text" name="regex" value="${escapeHTML(m.assertions.regex)}">
+      </div>
+      <div>
+        <label>${t('field.maxLatency')}</label>
+        <input type="number" name="maxLatency" value="${m.assertions.maxLatency || ''}" min="0">
+      </div>
+    </div>
+    <div class="field-row">
+      <div>
+        <label>${t('field.watch')}</label>
+        <select name="watchMode">${WATCH_MODES.map(k => `<option value="${k}" ${k === m.watch.mode ? 'selected' : ''}>${t(`watch.${k}`)}</option>`).join('')}</select>
+      </div>
+      <div>
+        <label>${t('field.watchExpr')}</label>
+        <input type="text" name="watchExpr" value="${escapeHTML(m.watch.expr)}" placeholder="${t('field.watchExprPlaceholder')}">
+      </div>
+    </div>
+    <div>
+      <label>${t('field.watchIgnore')}</label>
+      <textarea name="watchIgnore" placeholder="\\d{4}-\\d{2}-\\d{2}[ T][\\d:]+">${escapeHTML(m.watch.ignore)}</textarea>
+    </div>
+    <label class="check-item"><input type="checkbox" name="watchNotify" ${m.watch.notify ? 'checked' : ''}> ${t('field.watchNotify')}</label>
+  `;
+}
+
+// 通知渠道配置表单
+function renderNotifyForm(t, n) {
+  return `
+    <form action="/save-notify" method="POST" class="monitor-form">
+      <div class="field-row">
+        <div>
+          <label>${t('notify.alertAfter')}</label>
+          <input type="number" name="alertAfter" value="${n.alertAfter}" min="1" required>
+        </div>
+        <div>
+          <label>${t('notify.renotify')}</label>
+          <input type="number" name="renotifyMinutes" value="${n.renotifyMinutes}" min="0" required>
+        </div>
+      </div>
+      <div>
+        <label>${t('notify.webhookUrl')}</label>
+        <input type="url" name="webhookUrl" value="${escapeHTML(n.webhook.url)}" placeholder="https://hooks.example.com/xxx">
+      </div>
+      <div>
+        <label>${t('notify.webhookTemplate')}</label>
+        <textarea name="webhookTemplate" placeholder="${escapeHTML(DEFAULT_WEBHOOK_TEMPLATE)}">${escapeHTML(n.webhook.template)}</textarea>
+      </div>
+      <div class="field-row">
+        <div>
+          <label>Telegram Bot Token</label>
+          <input type="password" name="telegramToken" value="${escapeHTML(n.telegram.botToken)}" autocomplete="off">
+        </div>
+        <div>
+          <label>Telegram Chat ID</label>
+          <input type="text" name="telegramChatId" value="${escapeHTML(n.telegram.chatId)}">
+        </div>
+      </div>
+      <div>
+        <label>${t('notify.pushUrls')}</label>
+        <textarea name="pushUrls" placeholder="https://ntfy.sh/my-topic&#10;https://api.day.app/KEY/{{title}}/{{message}}">${escapeHTML(n.push.urls)}</textarea>
+      </div>
+      <div class="field-row">
+        <div>
+          <label>${t('notify.emailApiUrl')}</label>
+          <input type="url" name="emailApiUrl" value="${escapeHTML(n.email.apiUrl)}">
+        </div>
+        <div>
+          <label>${t('notify.emailApiKey')}</label>
+          <input type="password" name="emailApiKey" value="${escapeHTML(n.email.apiKey)}" autocomplete="off">
+        </div>
+      </div>
+      <div class="field-row">
+        <div>
+          <label>${t('notify.emailFrom')}</label>
+          <input type="text" name="emailFrom" value="${escapeHTML(n.email.from)}" placeholder="alert@example.com">
+        </div>
+        <div>
+          <label>${t('notify.emailTo')}</label>
+          <input type="text" name="emailTo" value="${escapeHTML(n.email.to)}">
+        </div>
+      </div>
+      <button type="submit" class="neo-btn accent compact-btn"><i class="ri-save-3-line"></i> ${t('notify.save')}</button>
+    </form>
+  `;
+}
+
+// 可用率数字与最近 24 小时柱状历史（柱高为平均延迟，颜色为该小时可用率）
+function renderUptime(summary) {
+  const maxAvg = Math.max(1, ...summary.history.map(h => h.avg || 0));
+  const bars = summary.history.map(h => {
+    const cls = h.uptime === null ? '' : h.uptime === 100 ? 'up' : h.uptime === 0 ? 'down' : 'partial';
+    const height = h.avg === null ? 4 : Math.max(4, Math.round(h.avg / maxAvg * 24));
+    const label = `${new Date(h.t).toISOString().slice(11, 16)} UTC ${formatUptime(h)}${h.avg !== null ? ' avg ' + h.avg + 'ms' : ''}`;
+    return `<i class="${cls}" style="height:${height}px" title="${label}"></i>`;
+  }).join('');
+  const { h24 } = summary;
+  return `
+    <div class="uptime-row">
+      <div class="uptime-nums">
+        <span>24h ${formatUptime(summary.h24)}</span>
+        <span>7d ${formatUptime(summary.d7)}</span>
+        <span>30d ${formatUptime(summary.d30)}</span>
+        ${h24.avg !== null ? `<span>min/avg/p95 ${h24.min}/${h24.avg}/${h24.p95}ms</span>` : ''}
+      </div>
+      <div class="spark">${bars}</div>
+    </div>
+  `;
+}
+
+// 下次运行时间，以及间隔短于 Cron 周期时的提示
+function renderScheduleInfo(m, entry, cronMeta, t, formatTime) {
+  const interval = m.interval
+    ? t('schedule.every', { minutes: m.interval }) + (m.jitter ? t('schedule.jitter', { minutes: m.jitter }) : '')
+    : t('schedule.everyTrigger');
+  const next = entry?.nextDueAt ? formatTime(entry.nextDueAt) : t('schedule.nextTrigger');
+  const warn = m.interval && cronMeta.cadenceMinutes && m.interval < cronMeta.cadenceMinutes
+    ? `<span class="warn">${t('schedule.warn', { minutes: cronMeta.cadenceMinutes })}</span>`
+    : '';
+  return `<div class="schedule-info">${interval} · ${t('schedule.next', { time: next })} ${warn}</div>`;
+}